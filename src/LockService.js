@@ -0,0 +1,266 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Wait for some time.
+ *
+ * @param  {number} ms
+ * @return {Promise<void>}
+ */
+function sleep( ms )
+{
+  return new Promise( resolve => setTimeout( resolve, ms ) );
+}
+
+/**
+ * Lock files so that compilers in other processes don't read or write a manifest at the same time.
+ *
+ * A lock is a file in `lockDir` that has the PID of the process that holds the lock.
+ * Locks can be nested. A lock that is held by this instance is released once it has been unlocked as many times as it was locked.
+ */
+class LockService
+{
+  /**
+   * @param {object} options
+   * @param {string} [options.lockDir] - Directory of the lock files
+   * @param {number} [options.timeout] - Milliseconds to wait for a lock before giving up
+   * @param {number} [options.stale] - Milliseconds after which a lock is considered abandoned
+   * @param {number} [options.retryWait] - Milliseconds between attempts to get a lock
+   * @constructor
+   */
+  constructor({ lockDir = os.tmpdir(), timeout = 10000, stale = 20000, retryWait = 100 } = {})
+  {
+    this.lockDir = lockDir;
+
+    this.timeout = timeout;
+
+    this.stale = stale;
+
+    this.retryWait = retryWait;
+
+    // Lock file path: number of times it was locked by this instance
+    this.held = new Map();
+  }
+
+  /**
+   * Build a file path to the lock file of a file.
+   *
+   * @param  {string} filename
+   * @return {string}
+   */
+  getLockPath( filename )
+  {
+    const name = filename.replace(/[^\w]+/g, '-');
+
+    return path.join( this.lockDir, `${name}.lock` );
+  }
+
+  /**
+   * Get the details of the process that holds a lock.
+   *
+   * @param  {string} lockPath
+   * @return {Promise<{pid: number, hostname: string, created: number, token: string}|null>} null is returned if the lock file can't be read.
+   */
+  async getHolder( lockPath )
+  {
+    try {
+      return JSON.parse( await fs.promises.readFile( lockPath, { encoding: 'utf8' } ) );
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Determine if a lock was abandoned.
+   *
+   * A lock is stale when it is older than `stale` or when the process that created it on this host has exited.
+   *
+   * @param  {string} lockPath
+   * @param  {object|null} [holder] - The lock holder that was read from `lockPath`
+   * @return {Promise<boolean>}
+   */
+  async isStale( lockPath, holder = undefined )
+  {
+    try {
+      const { mtimeMs } = await fs.promises.stat( lockPath );
+
+      if ( Date.now() - mtimeMs > this.stale ) {
+        return true;
+      }
+    } catch (err) {
+      return false;
+    }
+
+    if ( holder === undefined ) {
+      holder = await this.getHolder( lockPath );
+    }
+
+    if ( holder && holder.hostname === os.hostname() && holder.pid !== process.pid ) {
+      try {
+        process.kill( holder.pid, 0 );
+      } catch (err) {
+        return err.code === 'ESRCH';
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Remove a stale lock.
+   *
+   * The lock is renamed before it is deleted so that a lock created by another process after the stale lock was checked is never deleted.
+   * If the renamed file isn't the stale lock, it is put back.
+   *
+   * @param  {string} lockPath
+   * @param  {object|null} holder - The lock holder that was found to be stale
+   * @return {Promise<void>}
+   */
+  async removeStaleLock( lockPath, holder )
+  {
+    const stalePath = `${lockPath}.${process.pid}-${crypto.randomBytes(6).toString('hex')}.stale`;
+
+    try {
+      await fs.promises.rename( lockPath, stalePath );
+    } catch (err) {
+      if ( err.code === 'ENOENT' ) {
+        return;
+      }
+
+      throw err;
+    }
+
+    const moved = await this.getHolder( stalePath );
+
+    if ( moved && JSON.stringify( moved ) !== JSON.stringify( holder ) ) {
+      // `link()` fails when another lock was created in the meantime, which keeps the newer lock.
+      await fs.promises.link( stalePath, lockPath ).catch( () => {} );
+    }
+
+    await fs.promises.unlink( stalePath ).catch( () => {} );
+  }
+
+  /**
+   * Wait for the lock of a file.
+   *
+   * @param  {string} filename
+   * @return {Promise<void>}
+   * @throws {Error} `AssetsManifestLockError` when the lock can't be acquired within `timeout`
+   */
+  async lock( filename )
+  {
+    const lockPath = this.getLockPath( filename );
+    const start = Date.now();
+
+    if ( this.held.has( lockPath ) ) {
+      this.held.set( lockPath, this.held.get( lockPath ) + 1 );
+
+      return;
+    }
+
+    await fs.promises.mkdir( this.lockDir, { recursive: true } );
+
+    for (;;) {
+      try {
+        await fs.promises.writeFile(
+          lockPath,
+          JSON.stringify({
+            pid: process.pid,
+            hostname: os.hostname(),
+            created: Date.now(),
+            token: crypto.randomBytes(8).toString('hex'),
+          }),
+          { flag: 'wx' },
+        );
+
+        this.held.set( lockPath, 1 );
+
+        return;
+      } catch (err) {
+        if ( err.code !== 'EEXIST' ) {
+          throw err;
+        }
+      }
+
+      const holder = await this.getHolder( lockPath );
+
+      if ( await this.isStale( lockPath, holder ) ) {
+        await this.removeStaleLock( lockPath, holder );
+
+        continue;
+      }
+
+      if ( Date.now() - start >= this.timeout ) {
+        const message = `Timed out after ${this.timeout}ms waiting for the lock on ${filename}. ` +
+          ( holder ? `The lock is held by process ${holder.pid} on ${holder.hostname}` : 'The lock holder is unknown' ) +
+          ` (${lockPath}).`;
+
+        throw Object.assign( new Error( message ), {
+          name: 'AssetsManifestLockError',
+          code: 'ELOCKTIMEOUT',
+          lockPath,
+          pid: holder ? holder.pid : null,
+        });
+      }
+
+      await sleep( this.retryWait );
+    }
+  }
+
+  /**
+   * Release the lock of a file. Locks that are not held by this instance are left alone.
+   *
+   * @param  {string} filename
+   * @return {Promise<void>}
+   */
+  async unlock( filename )
+  {
+    const lockPath = this.getLockPath( filename );
+
+    if ( ! this.held.has( lockPath ) ) {
+      return;
+    }
+
+    const count = this.held.get( lockPath ) - 1;
+
+    if ( count > 0 ) {
+      this.held.set( lockPath, count );
+
+      return;
+    }
+
+    this.held.delete( lockPath );
+
+    try {
+      await fs.promises.unlink( lockPath );
+    } catch (err) {
+      if ( err.code !== 'ENOENT' ) {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Call a function while holding the lock of a file. The lock is always released.
+   *
+   * @param  {string} filename
+   * @param  {() => any} callback
+   * @return {Promise<any>} The callback return value
+   */
+  async withLock( filename, callback )
+  {
+    await this.lock( filename );
+
+    try {
+      return await callback();
+    } finally {
+      await this.unlock( filename );
+    }
+  }
+}
+
+module.exports = LockService;
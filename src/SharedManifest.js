@@ -0,0 +1,182 @@
+'use strict';
+
+const { warn } = require('./helpers.js');
+
+/**
+ * Combine the manifests of several compilers into one file.
+ *
+ * The combined manifest is written once every registered compiler is done.
+ */
+class SharedManifest
+{
+  /**
+   * @param {object} manifest - WebpackAssetsManifest instance that is used to write the combined manifest
+   * @param {object} options
+   * @param {boolean} [options.namespace] - Use the compiler name as a key for each manifest
+   * @constructor
+   */
+  constructor(manifest, { namespace = true } = {})
+  {
+    this.manifest = manifest;
+
+    this.namespace = namespace;
+
+    // Registered WebpackAssetsManifest instances
+    this.manifests = [];
+
+    // Manifests that are waiting for their compiler to finish
+    this.pending = new Set();
+
+    // Manifests whose compiler has finished since it last started
+    this.completed = new Set();
+
+    // manifest: the last compilation of its compiler
+    this.compilations = new Map();
+
+    // [ { key, names } ] keys that were used by more than one compiler
+    this.collisions = [];
+  }
+
+  /**
+   * Add a manifest to the combined manifest.
+   *
+   * @param  {object} manifest - WebpackAssetsManifest instance
+   * @return {object} The manifest
+   */
+  register(manifest)
+  {
+    manifest.shared = this;
+
+    this.manifests.push( manifest );
+
+    return manifest;
+  }
+
+  /**
+   * Get the name used for a manifest in the combined manifest.
+   *
+   * @param  {object} manifest - WebpackAssetsManifest instance
+   * @return {string}
+   */
+  getName(manifest)
+  {
+    return ( manifest.compiler && manifest.compiler.name ) || String( this.manifests.indexOf( manifest ) );
+  }
+
+  /**
+   * Get the combined manifest data.
+   *
+   * Collisions are recorded when not using namespaces. The value from the manifest that was registered last is used.
+   *
+   * @return {object}
+   */
+  toJSON()
+  {
+    const data = Object.create(null);
+    const owners = new Map();
+
+    this.collisions = [];
+
+    for ( const manifest of this.manifests ) {
+      const name = this.getName( manifest );
+      const assets = manifest.toJSON();
+
+      if ( this.namespace ) {
+        data[ name ] = assets;
+
+        continue;
+      }
+
+      for ( const [ key, value ] of Object.entries( assets ) ) {
+        if ( owners.has( key ) && JSON.stringify( data[ key ] ) !== JSON.stringify( value ) ) {
+          const names = [ owners.get( key ), name ];
+
+          this.collisions.push({ key, names });
+        }
+
+        data[ key ] = value;
+        owners.set( key, name );
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the compilation that a collision is reported to, which is the compilation of the compiler whose value was used.
+   *
+   * @param  {string} name - Compiler name
+   * @param  {object} compilation - Used when the compiler doesn't have a compilation
+   * @return {object}
+   */
+  getCompilation(name, compilation)
+  {
+    const manifest = this.manifests.find( manifest => this.getName( manifest ) === name );
+
+    return this.compilations.get( manifest ) || compilation;
+  }
+
+  /**
+   * Write the combined manifest.
+   *
+   * @param {object} compilation - The compilation that finished last
+   */
+  async write(compilation)
+  {
+    const { manifest } = this;
+
+    // Relative output paths use the first compiler output path.
+    manifest.compiler = this.manifests[ 0 ].compiler;
+
+    manifest.clear();
+    manifest.backupFiles.clear();
+
+    for ( const [ key, value ] of Object.entries( this.toJSON() ) ) {
+      manifest.setRaw( key, value );
+    }
+
+    for ( const { key, names } of this.collisions ) {
+      warn( this.getCompilation( names[ 1 ], compilation ), `Manifest key "${key}" from compiler "${names[ 1 ]}" replaced the value from compiler "${names[ 0 ]}".` );
+    }
+
+    await manifest.writeTo( manifest.getOutputPath() );
+  }
+
+  /**
+   * A compiler has started or was invalidated. Its manifest is out of date until it is done.
+   *
+   * @param {object} manifest - WebpackAssetsManifest instance
+   */
+  handleRun(manifest)
+  {
+    this.pending.add( manifest );
+    this.completed.delete( manifest );
+  }
+
+  /**
+   * A compiler is done. Write the combined manifest if no other compilers are running.
+   *
+   * @param {object} manifest - WebpackAssetsManifest instance
+   * @param {object} compilation - The compilation that finished
+   */
+  async handleDone(manifest, compilation)
+  {
+    this.pending.delete( manifest );
+    this.completed.add( manifest );
+    this.compilations.set( manifest, compilation );
+
+    if ( this.pending.size || this.completed.size !== this.manifests.length ) {
+      return;
+    }
+
+    await this.write( compilation );
+
+    // Each `run()` builds every compiler again, so wait for all of them before the next write.
+    // In watch mode, only the compilers that were invalidated are waited for.
+    if ( ! manifest.compiler.watchMode ) {
+      this.completed.clear();
+    }
+  }
+}
+
+module.exports = SharedManifest;
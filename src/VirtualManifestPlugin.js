@@ -0,0 +1,177 @@
+'use strict';
+
+const path = require('path');
+
+const PLUGIN_NAME = 'VirtualManifestPlugin';
+
+/**
+ * Let a compilation import the manifest of another compiler.
+ *
+ * `import manifest from 'webpack-assets-manifest/virtual?name=client'` resolves to the manifest of the compiler named `client`.
+ *
+ * Each instance has its own registry, so use one instance for the compilers of one MultiCompiler.
+ */
+class VirtualManifestPlugin
+{
+  /**
+   * @param {object} options
+   * @param {number} [options.timeout] - Milliseconds to wait for a manifest before giving up
+   * @constructor
+   */
+  constructor({ timeout = 60000 } = {})
+  {
+    this.timeout = timeout;
+
+    // compiler name: { manifest, data, running, waiting }
+    this.manifests = new Map();
+  }
+
+  /**
+   * Make a manifest available to the compilers that use this plugin.
+   *
+   * The compiler that the manifest is added to needs a `name`.
+   *
+   * @param  {object} manifest - WebpackAssetsManifest instance
+   * @return {object} The manifest
+   */
+  register(manifest)
+  {
+    manifest.hooks.apply.tap(PLUGIN_NAME, () => this.addManifest( manifest ) );
+
+    return manifest;
+  }
+
+  /**
+   * Track the compiler of a registered manifest.
+   *
+   * @param {object} manifest - WebpackAssetsManifest instance
+   */
+  addManifest(manifest)
+  {
+    const { compiler } = manifest;
+    const name = compiler.options.name;
+
+    if ( ! name ) {
+      throw new Error('VirtualManifestPlugin.register() requires the compiler to have a name.');
+    }
+
+    // Registering the same name again keeps the waiting imports so they're resolved by the new compiler.
+    const entry = this.manifests.get( name ) || {
+      data: null,
+      running: false,
+      waiting: [],
+    };
+
+    entry.manifest = manifest;
+
+    this.manifests.set( name, entry );
+
+    const start = () => {
+      entry.running = true;
+    };
+
+    compiler.hooks.beforeRun.tap(PLUGIN_NAME, start);
+    compiler.hooks.watchRun.tap(PLUGIN_NAME, start);
+    compiler.hooks.invalid.tap(PLUGIN_NAME, start);
+
+    compiler.hooks.done.tap(PLUGIN_NAME, () => {
+      entry.running = false;
+      entry.data = manifest.emittedData || manifest.toJSON();
+
+      this.settle( entry, waiter => waiter.resolve( entry.data ) );
+    });
+
+    compiler.hooks.failed.tap(PLUGIN_NAME, () => {
+      entry.running = false;
+
+      this.settle( entry, waiter => waiter.reject(
+        new Error(`The "${name}" compiler failed, so its manifest can't be imported.`),
+      ));
+    });
+  }
+
+  /**
+   * Resolve or reject the imports that are waiting for a manifest.
+   *
+   * @param {object} entry
+   * @param {(waiter: object) => void} callback
+   */
+  settle(entry, callback)
+  {
+    entry.waiting.splice(0).forEach( waiter => {
+      clearTimeout( waiter.timer );
+
+      callback( waiter );
+    });
+  }
+
+  /**
+   * Get the manifest of a compiler. The promise resolves once the compiler is done.
+   *
+   * The promise is rejected when the compiler fails or when it doesn't finish within `timeout`,
+   * which happens when it isn't run with the compiler that imports the manifest.
+   *
+   * @param  {string} name - The compiler name
+   * @return {Promise<object>}
+   */
+  getManifest(name)
+  {
+    if ( ! this.manifests.has( name ) ) {
+      return Promise.reject(
+        new Error(`No manifest found for the "${name}" compiler. The compiler needs a name and its manifest must be added with VirtualManifestPlugin.register().`),
+      );
+    }
+
+    const entry = this.manifests.get( name );
+
+    if ( entry.data && ! entry.running ) {
+      return Promise.resolve( entry.data );
+    }
+
+    return new Promise( (resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+
+      waiter.timer = setTimeout( () => {
+        entry.waiting.splice( entry.waiting.indexOf( waiter ), 1 );
+
+        reject( new Error(
+          `Timed out after ${this.timeout}ms waiting for the manifest of the "${name}" compiler. ` +
+          'The compiler needs to run in the same MultiCompiler and it can\'t depend on the compiler that imports its manifest.',
+        ));
+      }, this.timeout );
+
+      entry.waiting.push( waiter );
+    });
+  }
+
+  /**
+   * Get the file path of the manifest that a compiler emitted last.
+   *
+   * @param  {string} name - The compiler name
+   * @return {string|null}
+   */
+  getManifestPath(name)
+  {
+    const entry = this.manifests.get( name );
+
+    return entry && entry.manifest.manifestPath ? entry.manifest.manifestPath : null;
+  }
+
+  /**
+   * Hook into the Webpack compiler
+   *
+   * @param  {object} compiler - The Webpack compiler object
+   */
+  apply(compiler)
+  {
+    compiler.options.module.rules.push({
+      resource: path.resolve( __dirname, '../virtual.js' ),
+      loader: require.resolve('./virtual-loader.js'),
+      options: {
+        plugin: this,
+      },
+    });
+  }
+}
+
+module.exports = VirtualManifestPlugin;
@@ -7,14 +7,18 @@
 'use strict';
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const url = require('url');
 
 const get = require('lodash.get');
 const has = require('lodash.has');
+const mime = require('mime-types');
 const { validate } = require('schema-utils');
 const { AsyncSeriesHook, SyncHook, SyncWaterfallHook } = require('tapable');
-const { Compilation, NormalModule, sources: { RawSource } } = require('webpack');
+const { Compilation, NormalModule, WebpackError, sources: { RawSource }, util: { createHash } } = require('webpack');
+const { mkdirp } = require('webpack/lib/util/fs');
+const { makeWebpackError } = require('webpack/lib/HookWebpackError');
 
 const {
   maybeArrayWrap,
@@ -27,18 +31,48 @@ const {
   templateStringToRegExp,
   group,
   findMapKeysByValue,
-  lock,
-  unlock,
-  lockSync,
-  unlockSync,
+  createMatcher,
+  getContentHash,
+  getRelatedAssets,
+  getManifestDiff,
+  hasChanges,
+  findFiles,
+  getGlobBase,
+  getAssetPath,
+  isInDirectory,
+  writeFileAtomic,
 } = require('./helpers.js');
 
+const { getDefaultSerializers, getFormatByFilename, parseManifest } = require('./serializers.js');
+const { toModule, toDeclaration } = require('./modules.js');
+const presets = require('./presets.js');
+const SharedManifest = require('./SharedManifest.js');
+const LockService = require('./LockService.js');
+const VirtualManifestPlugin = require('./VirtualManifestPlugin.js');
+const { getEntrypointTags, getLinkHeader, toHTML } = require('./tags.js');
+const { getSource, getEntrypointFiles: getEntrypointUrls } = require('./runtime.js');
+
 /** @type {object} */
 const optionsSchema = require('./options-schema.json');
 
 const IS_MERGING = Symbol('isMerging');
 const PLUGIN_NAME = 'WebpackAssetsManifest';
 
+/**
+ * Field name: get the field value from a compilation asset
+ *
+ * These are used when `options.richEntries` is enabled.
+ */
+const RICH_ENTRY_FIELDS = {
+  size: asset => asset.source.size(),
+  contenthash: asset => asset.info.contenthash || null,
+  mimeType: asset => mime.lookup( asset.name ) || null,
+  immutable: asset => !! asset.info.immutable,
+  minimized: asset => !! asset.info.minimized,
+  development: asset => !! asset.info.development,
+  sourceFilename: asset => asset.info.sourceFilename || null,
+};
+
 class WebpackAssetsManifest
 {
   /**
@@ -57,6 +91,9 @@ class WebpackAssetsManifest
       done: new AsyncSeriesHook([ 'manifest', 'stats' ]),
       options: new SyncWaterfallHook([ 'options' ]),
       afterOptions: new SyncHook([ 'options' ]),
+      serializers: new SyncHook([ 'serializers', 'manifest' ]),
+      changed: new SyncHook([ 'diff', 'manifest' ]),
+      mergeConflict: new SyncWaterfallHook([ 'value', 'key', 'oldValue', 'newValue', 'manifest' ]),
     });
 
     this.hooks.transform.tap(PLUGIN_NAME, assets => {
@@ -70,7 +107,11 @@ class WebpackAssetsManifest
 
     this.hooks.afterOptions.tap(PLUGIN_NAME, options => {
       this.options = Object.assign( this.defaultOptions, options );
-      this.options.integrityHashes = filterHashes( this.options.integrityHashes );
+
+      const { integrityHashes } = this.options;
+
+      this.options.integrityHashes = filterHashes( integrityHashes );
+      this.unsupportedHashes = integrityHashes.filter( hash => ! this.options.integrityHashes.includes( hash ) );
 
       validate(optionsSchema, this.options, { name: PLUGIN_NAME });
 
@@ -80,7 +121,7 @@ class WebpackAssetsManifest
       // If the same key exists in assets and options.assets, options.assets should be used.
       this.assets = Object.assign(this.options.assets, this.assets, this.options.assets);
 
-      [ 'apply', 'customize', 'transform', 'done' ].forEach( hookName => {
+      [ 'apply', 'customize', 'transform', 'done', 'changed', 'mergeConflict' ].forEach( hookName => {
         if ( typeof this.options[ hookName ] === 'function' ) {
           this.hooks[ hookName ].tap(`${PLUGIN_NAME}.option.${hookName}`, this.options[ hookName ] );
         }
@@ -98,16 +139,113 @@ class WebpackAssetsManifest
     // This is passed to the customize() hook
     this.currentAsset = null;
 
+    // The compilation whose assets are being added. Problems are reported to it.
+    this.compilation = null;
+
+    // Warning messages that were added without a compilation
+    this.pendingWarnings = [];
+
+    // `options.integrityHashes` that are not supported by Node
+    this.unsupportedHashes = [];
+
+    // key: { assets, values } for the entries added by the current compilation
+    this.keyAssets = new Map();
+
+    // [ { key, assets } ] keys that were used by more than one asset in the current compilation
+    this.collisions = [];
+
     // The Webpack compiler instance
     this.compiler = null;
 
     // This is used to identify hot module replacement files
     this.hmrRegex = null;
 
+    // Additional manifests created from `options.outputs`
+    this.outputs = [];
+
+    // [ { url, revision } ] when `options.precache` is enabled
+    this.precacheManifest = null;
+
+    // asset name: { sourceMap, compressed } when `options.groupRelated` is enabled
+    this.relatedAssets = new Map();
+
+    // HTML tags for each entrypoint when `options.htmlTags` is enabled
+    this.entrypointTags = null;
+
+    // HTTP `Link` header values for each entrypoint when `options.linkHeaders` is enabled
+    this.linkHeaders = null;
+
+    // { imports, scopes, integrity } when `options.importMap` is enabled
+    this.importMap = null;
+
+    // The manifest data that was last emitted. This is used to find what changed in watch mode.
+    this.previousData = null;
+
+    // { added, removed, changed } when `options.diff` is enabled
+    this.manifestDiff = null;
+
+    // Was the manifest the same as last time?
+    this.unchanged = false;
+
+    // The asset name of the manifest in the last compilation
+    this.emittedAsset = null;
+
+    // The transformed data of the last emitted manifest, so that the `transform` hook runs once per emission.
+    this.emittedData = null;
+
+    // The file system path of the last emitted manifest, with [contenthash] replaced
+    this.manifestPath = null;
+
+    // The path the manifest was written to with `options.writeToDisk`
+    this.writtenPath = null;
+
+    // The SharedManifest this manifest is registered with
+    this.shared = null;
+
+    // [ { file, data, namespace, prefix } ] manifests that were read for `options.mergeFrom`
+    this.mergeSources = [];
+
+    // key: the `options.mergeFrom` manifest the key came from
+    this.provenance = Object.create(null);
+
+    // Files that were copied to their backup file during this compilation
+    this.backupFiles = new Set();
+
+    // Data of the existing output file, read before the manifest is emitted when `options.merge` is enabled
+    this.outputData = null;
+
+    // The manifest that `options.diff` is compared to
+    this.previousManifest = {};
+
+    // LockService instance, see `getLockService()`
+    this.lockService = null;
+
+    // The file that is locked from when the existing manifest is read until the manifest is written
+    this.lockedPath = null;
+
     // Is a merge happening?
     this[ IS_MERGING ] = false;
   }
 
+  /**
+   * Create a coordinator that combines the manifests of several compilers into one file.
+   *
+   * Use `shared.register( new WebpackAssetsManifest() )` for each compiler.
+   *
+   * @param  {object} options - WebpackAssetsManifest options for the combined manifest
+   * @param  {boolean} [options.namespace] - Use the compiler name as a key for each manifest
+   * @return {SharedManifest}
+   */
+  static shared(options = {})
+  {
+    const { namespace = true, ...manifestOptions } = options;
+    const manifest = new WebpackAssetsManifest( manifestOptions );
+
+    manifest.hooks.afterOptions.call( manifest.options );
+
+    return new SharedManifest( manifest, { namespace } );
+  }
+
   /**
    * Hook into the Webpack compiler
    *
@@ -133,22 +271,115 @@ class WebpackAssetsManifest
       this.hmrRegex = templateStringToRegExp( hotUpdateChunkFilename, 'i' );
     }
 
+    this.outputs = this.options.outputs.map( descriptor => this.createOutput( descriptor ) );
+
+    this.getManifests().forEach( manifest => manifest.validateFormat() );
+
     compiler.hooks.watchRun.tap(PLUGIN_NAME, this.handleWatchRun.bind(this));
 
+    if ( this.shared ) {
+      compiler.hooks.beforeRun.tap(PLUGIN_NAME, () => this.shared.handleRun(this) );
+      compiler.hooks.watchRun.tap(PLUGIN_NAME, () => this.shared.handleRun(this) );
+      compiler.hooks.invalid.tap(PLUGIN_NAME, () => this.shared.handleRun(this) );
+    }
+
     compiler.hooks.compilation.tap(PLUGIN_NAME, this.handleCompilation.bind(this));
 
     compiler.hooks.thisCompilation.tap(PLUGIN_NAME, this.handleThisCompilation.bind(this));
 
+    compiler.hooks.failed.tap(PLUGIN_NAME, () => {
+      this.getManifests().forEach( manifest => manifest.releaseLock().catch( () => {} ) );
+    });
+
     // Use fs to write the manifest.json to disk if `options.writeToDisk` is true
     compiler.hooks.afterEmit.tapPromise(PLUGIN_NAME, this.handleAfterEmit.bind(this));
 
     // The compilation has finished
-    compiler.hooks.done.tapPromise(PLUGIN_NAME, async stats => await this.hooks.done.promise(this, stats) );
+    compiler.hooks.done.tapPromise(PLUGIN_NAME, async stats => {
+      // The manifest isn't written when the assets aren't emitted, like when there are errors and `emitOnErrors` is false.
+      await Promise.all( this.getManifests().map( manifest => manifest.releaseLock() ) );
+
+      if ( this.shared ) {
+        await this.shared.handleDone(this, stats.compilation);
+      }
+
+      if ( this.options.summary ) {
+        this.logSummary( stats.compilation );
+      }
+
+      // Nothing was written, so there is nothing new for the done hook.
+      if ( ! ( this.unchanged && this.options.skipUnchanged ) ) {
+        await this.hooks.done.promise(this, stats);
+      }
+    });
 
     // Setup is complete.
     this.hooks.apply.call(this);
   }
 
+  /**
+   * Create a manifest for an item in `options.outputs`.
+   *
+   * Options that are not in the output descriptor are copied from this manifest.
+   *
+   * @param  {object} descriptor
+   * @return {WebpackAssetsManifest}
+   */
+  createOutput(descriptor)
+  {
+    const manifest = new WebpackAssetsManifest({
+      ...this.options,
+      assets: Object.create(null),
+      outputs: [],
+      pointer: false,
+      diff: false,
+      cleanup: false,
+      precache: false,
+      htmlTags: false,
+      linkHeaders: false,
+      importMap: false,
+      apply: null,
+      done: null,
+      changed: null,
+      ...descriptor,
+    });
+
+    manifest.compiler = this.compiler;
+    manifest.hmrRegex = this.hmrRegex;
+    manifest.assetNames = this.assetNames;
+
+    manifest.hooks.serializers.tap(PLUGIN_NAME, serializers => this.hooks.serializers.call(serializers, manifest) );
+    manifest.hooks.changed.tap(PLUGIN_NAME, diff => this.hooks.changed.call(diff, manifest) );
+
+    manifest.hooks.afterOptions.call( manifest.options );
+
+    // Taps that were added to this manifest are also used by the output.
+    // The option taps are skipped since the options were copied above.
+    [ 'customize', 'transform', 'mergeConflict' ].forEach( hookName => {
+      manifest.hooks[ hookName ].tap(PLUGIN_NAME, (value, ...args) => {
+        return this.hooks[ hookName ].taps
+          .filter( tap => ! tap.name.startsWith( PLUGIN_NAME ) )
+          .reduce( (result, tap) => {
+            const returned = tap.fn( result, ...args );
+
+            return returned === undefined ? result : returned;
+          }, value );
+      });
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Get this manifest and the manifests created from `options.outputs`.
+   *
+   * @return {WebpackAssetsManifest[]}
+   */
+  getManifests()
+  {
+    return [ this, ...this.outputs ];
+  }
+
   /**
    * Get the default options.
    *
@@ -160,26 +391,59 @@ class WebpackAssetsManifest
       enabled: true,
       assets: Object.create(null),
       output: 'assets-manifest.json',
+      pointer: false, // Create a file that has the name of the current manifest. This is useful when `output` has `[contenthash]`.
+      format: 'auto', // Use the `output` file extension to pick a serializer.
       replacer: null, // Its easier to use the transform hook instead.
       space: 2,
+      module: false, // Create an `esm` or `cjs` module with TypeScript declarations next to the manifest.
       writeToDisk: 'auto',
+      backup: false, // Keep a copy of the previous manifest that is used when the manifest can't be parsed.
+      lock: {}, // Lock file settings: lockDir, timeout, and stale
       fileExtRegex: /\.\w{2,4}\.(?:map|gz)$|\.\w+$/i,
       sortManifest: true,
       merge: false,
+      mergeStrategy: 'deep', // How existing entries are merged: deep, shallow, replace-stale, or prefer-existing
+      mergeFrom: [], // Paths or glob patterns of other manifests to add to this manifest
+      provenance: false, // Add a key that lists the mergeFrom manifest each key came from
+      diff: false, // Create a file that lists the entries that changed since the previous manifest.
+      cleanup: false, // Delete files from `output.path` that are not used by recent compilations.
       publicPath: null,
       contextRelativeKeys: false,
+      collision: 'overwrite', // What to do when different assets use the same key: overwrite, warn, error, or array
+      preset: null, // Use a built in manifest shape instead of `key: value` entries.
+      richEntries: false, // Use objects with asset details as the manifest values.
+      groupRelated: false, // Add source maps and compressed files to the entry of the file they belong to.
+
+      // Additional manifests to create from the same assets
+      outputs: [],
+
+      // Create a service worker precache list next to the manifest
+      precache: false,
 
       // Hooks
       apply: null,     // After setup is complete
       customize: null, // Customize each entry in the manifest
       transform: null, // Transform the entire manifest
       done: null,      // Compilation is done and the manifest has been written
+      changed: null,   // The manifest has different entries than last time
+      mergeConflict: null, // Choose the value when merging finds different values for a key
+      skipUnchanged: false, // Don't write the manifest or call the done hook when nothing changed
+      summary: false, // Log a summary of each manifest when the compilation is done
 
       // Include `compilation.entrypoints` in the manifest file
       entrypoints: false,
       entrypointsKey: 'entrypoints',
       entrypointsUseAssets: false,
 
+      // Create HTML tags for each entrypoint
+      htmlTags: false,
+
+      // Create HTTP `Link` headers for each entrypoint
+      linkHeaders: false,
+
+      // Create an import map for `output.module` builds
+      importMap: false,
+
       // https://developer.mozilla.org/en-US/docs/Web/Security/Subresource_Integrity
       integrity: false,
       integrityHashes: [ 'sha256', 'sha384', 'sha512' ],
@@ -293,21 +557,141 @@ class WebpackAssetsManifest
     if ( isObject( entry ) ) {
       let { key = fixedKey, value = publicPath } = entry;
 
-      // If the integrity should be returned but the entry value was
-      // not customized lets do that now so it includes both.
-      if ( value === publicPath && this.options.integrity ) {
+      const isDefaultValue = value === publicPath;
+
+      // If the entry value was not customized, use a rich entry when enabled.
+      if ( isDefaultValue && this.options.richEntries && this.currentAsset ) {
+        value = this.getRichEntry( value, this.currentAsset );
+      } else if ( isDefaultValue && this.options.integrity ) {
+        // If the integrity should be returned but the entry value was
+        // not customized lets do that now so it includes both.
         value = {
           src: value,
           integrity: get(this, `currentAsset.info.${this.options.integrityPropertyName}`, ''),
         };
       }
 
+      if ( isDefaultValue && this.currentAsset && this.relatedAssets.has( this.currentAsset.name ) ) {
+        value = this.addRelatedAssets( value, this.relatedAssets.get( this.currentAsset.name ) );
+      }
+
+      return this.setAssetEntry( key, value );
+    }
+
+    this.addWarning(`Unexpected customize() return type: ${varType(entry)}`);
+
+    return this.setAssetEntry( fixedKey, publicPath );
+  }
+
+  /**
+   * Add a warning to the compilation that is being processed.
+   *
+   * Warnings that are added when there isn't a compilation are added to the next compilation.
+   *
+   * @param {string} message
+   */
+  addWarning(message)
+  {
+    if ( this.compilation ) {
+      warn( this.compilation, message );
+    } else {
+      this.pendingWarnings.push( message );
+    }
+  }
+
+  /**
+   * Add the entry for the current asset.
+   *
+   * Keys that are used by a different asset are recorded in `this.collisions`.
+   * The `array` collision policy keeps the value of every asset.
+   *
+   * @param {string} key
+   * @param {any} value
+   * @return {object} this
+   */
+  setAssetEntry(key, value)
+  {
+    const asset = this.currentAsset;
+
+    if ( ! asset ) {
+      return this.setRaw( key, value );
+    }
+
+    if ( ! this.keyAssets.has( key ) ) {
+      this.keyAssets.set( key, { assets: [ asset ], values: [ value ] } );
+
       return this.setRaw( key, value );
     }
 
-    warn.once(`Unexpected customize() return type: ${varType(entry)}`);
+    const used = this.keyAssets.get( key );
+
+    if ( used.assets.some( usedAsset => usedAsset.name === asset.name ) ) {
+      return this.setRaw( key, value );
+    }
+
+    this.collisions.push({
+      key,
+      assets: [ used.assets[ used.assets.length - 1 ], asset ],
+    });
+
+    used.assets.push( asset );
+    used.values.push( value );
+
+    return this.setRaw( key, this.options.collision === 'array' ? used.values.slice() : value );
+  }
+
+  /**
+   * Get an object that describes an asset.
+   *
+   * `src` is always included. The other fields are chosen with `options.richEntries`.
+   *
+   * @param  {string} src - The public path of the asset
+   * @param  {object} asset - The compilation asset
+   * @return {object}
+   */
+  getRichEntry(src, asset)
+  {
+    const { richEntries, integrity, integrityPropertyName } = this.options;
+    const fields = Array.isArray( richEntries ) ? richEntries : Object.keys( RICH_ENTRY_FIELDS );
+    const entry = { src };
+
+    for ( const [ field, getValue ] of Object.entries( RICH_ENTRY_FIELDS ) ) {
+      if ( fields.includes( field ) ) {
+        entry[ field ] = getValue( asset );
+      }
+    }
+
+    if ( integrity ) {
+      entry.integrity = asset.info[ integrityPropertyName ] || '';
+    }
+
+    return entry;
+  }
+
+  /**
+   * Add the public paths of related files to an entry value.
+   *
+   * @param  {string|object} value - The public path or an object that has `src`
+   * @param  {object} related - { sourceMap?: string, compressed?: { [encoding]: string }, sourceMapCompressed?: { [encoding]: string } }
+   * @return {object}
+   */
+  addRelatedAssets(value, related)
+  {
+    const entry = isObject( value ) ? value : { src: value };
+
+    if ( related.sourceMap ) {
+      entry.sourceMap = this.getPublicPath( related.sourceMap );
+    }
+
+    [ 'compressed', 'sourceMapCompressed' ].filter( property => related[ property ] ).forEach( property => {
+      entry[ property ] = {};
+
+      for ( const [ encoding, file ] of Object.entries( related[ property ] ) ) {
+        entry[ property ][ encoding ] = this.getPublicPath( file );
+      }
+    });
 
-    return this.setRaw( fixedKey, publicPath );
+    return entry;
   }
 
   /**
@@ -385,136 +769,963 @@ class WebpackAssetsManifest
   }
 
   /**
-   * `JSON.stringify()` the manifest.
+   * Get the available serializers.
    *
-   * @return {string}
+   * Custom serializers can be added by tapping into the `serializers` hook.
+   *
+   * @return {Map<string, object>} format name: serializer
    */
-  toString()
+  getSerializers()
   {
-    return JSON.stringify(this, this.options.replacer, this.options.space) || '{}';
+    const serializers = getDefaultSerializers();
+
+    this.hooks.serializers.call(serializers, this);
+
+    return serializers;
   }
 
   /**
-   * Merge data if the output file already exists
+   * Get the format name used to serialize the manifest.
+   *
+   * @param {Map<string, object>} serializers
+   * @return {string}
    */
-  maybeMerge()
+  getFormat(serializers = this.getSerializers())
   {
-    if ( this.options.merge ) {
-      try {
-        this[ IS_MERGING ] = true;
-
-        const data = JSON.parse( fs.readFileSync( this.getOutputPath(), { encoding: 'utf8' } ) );
-
-        const deepmerge = require('deepmerge');
+    const { format, output } = this.options;
 
-        const arrayMerge = (destArray, srcArray) => srcArray;
+    if ( format !== 'auto' ) {
+      return format;
+    }
 
-        for ( const [ key, oldValue ] of Object.entries( data ) ) {
-          if ( this.has( key ) ) {
-            const currentValue = this.get(key);
+    return getFormatByFilename( output, serializers ) || 'json';
+  }
 
-            if ( isObject( oldValue ) && isObject( currentValue ) ) {
-              const newValue = deepmerge( oldValue, currentValue, { arrayMerge });
+  /**
+   * Throw an error if `options.format` is not the name of a serializer.
+   *
+   * This runs in `apply()` so that serializers added with the `serializers` hook are known.
+   */
+  validateFormat()
+  {
+    const serializers = this.getSerializers();
+    const format = this.getFormat( serializers );
 
-              this.set( key, newValue );
-            }
-          } else {
-            this.set( key, oldValue );
-          }
-        }
-      } catch (err) { // eslint-disable-line
-      } finally {
-        this[ IS_MERGING ] = false;
-      }
+    if ( ! serializers.has( format ) ) {
+      throw new Error(`${PLUGIN_NAME}: Unknown manifest format: ${format}. Use one of: ${[ ...serializers.keys() ].join(', ')}`);
     }
   }
 
   /**
-   * Emit the assets manifest
+   * Parse the content of a manifest file with the `parse()` function of a serializer.
    *
-   * @param {object} compilation
+   * @param  {string} content
+   * @param  {string} [format] - Defaults to the format of this manifest
+   * @return {*}
    */
-  emitAssetsManifest(compilation)
+  parse(content, format = undefined)
   {
-    const output = this.getManifestPath(
-      compilation,
-      this.inDevServer() ?
-        path.basename( this.options.output ) :
-        path.relative( compilation.compiler.outputPath, this.getOutputPath() ),
-    );
+    const serializers = this.getSerializers();
 
-    if ( this.options.merge ) {
-      lockSync( output );
-    }
+    return parseManifest( content, format || this.getFormat( serializers ), serializers, this );
+  }
 
-    this.maybeMerge();
+  /**
+   * Serialize the manifest. JSON is used by default.
+   *
+   * @return {string}
+   */
+  toString()
+  {
+    return this.serialize( this.toJSON() );
+  }
 
-    compilation.emitAsset(
-      output,
-      new RawSource(this.toString(), false),
-      {
-        assetsManifest: true,
-      },
-    );
+  /**
+   * Serialize data that was returned by `toJSON()`.
+   *
+   * @param  {object} data
+   * @return {string}
+   */
+  serialize(data)
+  {
+    const serializers = this.getSerializers();
+    const format = this.getFormat( serializers );
 
-    if ( this.options.merge ) {
-      unlockSync( output );
+    if ( ! serializers.has( format ) ) {
+      throw new Error(`Unknown manifest format: ${format}`);
     }
+
+    return serializers.get( format ).serialize( data, this );
   }
 
   /**
-   * Record details of Asset Modules
+   * Get the files that are created next to the manifest.
    *
-   * @param {*} compilation
+   * @param  {string} filename - The manifest file path
+   * @param  {object} [data] - The result of `toJSON()`
+   * @return {Map<string, string>} file path: content
    */
-  handleProcessAssetsAnalyse( compilation /* , assets */ )
+  getCompanionFiles(filename, data = undefined)
   {
-    const { contextRelativeKeys } = this.options;
+    const files = new Map();
+    const { dir, name } = path.parse( filename );
+    const pointer = this.getPointerFilename();
 
-    for ( const chunk of compilation.chunks ) {
-      const modules = compilation.chunkGraph.getChunkModulesIterableBySourceType(
-        chunk,
-        'asset',
-      );
+    if ( pointer ) {
+      const pointerPath = path.join( dir, pointer );
+      const current = path.relative( path.dirname( pointerPath ), filename ).replace( /\\/g, '/' );
 
-      if ( modules ) {
-        for ( const module of modules ) {
-          const { assetInfo, filename } = module.buildInfo;
+      files.set( pointerPath, JSON.stringify( { current }, null, this.options.space ) );
+    }
 
-          const info = Object.assign(
-            {
-              sourceFilename: path.relative( compilation.compiler.context, module.userRequest ),
-            },
-            assetInfo,
-          );
+    if ( this.options.module ) {
+      data = data || this.toJSON();
 
-          compilation.assetsInfo.set(filename, info);
+      const [ moduleExt, declarationExt ] = this.options.module === 'cjs' ?
+        [ '.cjs', '.d.cts' ] :
+        [ '.mjs', '.d.mts' ];
 
-          this.assetNames.set(
-            contextRelativeKeys ?
-              info.sourceFilename :
-              path.join( path.dirname(filename), path.basename(module.userRequest) ),
-            filename,
-          );
+      const { replacer, space } = this.options;
+
+      files.set( path.join( dir, name + moduleExt ), toModule( data, this.options.module, { replacer, space } ) );
+      files.set( path.join( dir, name + declarationExt ), toDeclaration( data, this.options.module, { replacer } ) );
+    }
+
+    if ( this.options.precache && this.precacheManifest ) {
+      const { output, script } = this.getPrecacheOptions();
+      const json = JSON.stringify( this.precacheManifest, null, this.options.space );
+
+      files.set( path.join( dir, output ), script ? `self.__PRECACHE_MANIFEST = ${json};\n` : json );
+    }
+
+    if ( this.options.htmlTags && this.entrypointTags ) {
+      const { output = 'entrypoint-tags.json' } = isObject( this.options.htmlTags ) ? this.options.htmlTags : {};
+
+      if ( output.includes('[name]') ) {
+        for ( const [ name, tags ] of Object.entries( this.entrypointTags ) ) {
+          files.set( path.join( dir, output.replace( /\[name\]/g, name ) ), toHTML( tags ) );
         }
+      } else {
+        files.set( path.join( dir, output ), JSON.stringify( this.entrypointTags, null, this.options.space ) );
+      }
+    }
+
+    if ( this.options.diff && this.manifestDiff ) {
+      const output = this.getDiffOptions().output || `${name}.diff.json`;
+
+      files.set( path.join( dir, output ), JSON.stringify( this.manifestDiff, null, this.options.space ) );
+    }
+
+    if ( this.options.linkHeaders && this.linkHeaders ) {
+      const { output } = this.getLinkHeaderOptions();
+
+      if ( output ) {
+        files.set( path.join( dir, output ), JSON.stringify( this.linkHeaders, null, this.options.space ) );
       }
     }
+
+    if ( this.options.importMap && this.importMap ) {
+      const { output } = this.getImportMapOptions();
+
+      files.set( path.join( dir, output ), JSON.stringify( this.importMap, null, this.options.space ) );
+    }
+
+    return files;
   }
 
   /**
-   * Gather asset details
+   * Get `options.importMap` with default values.
    *
-   * @param {object} compilation
+   * @return {object}
    */
-  handleAfterProcessAssets( compilation /* , assets */ )
+  getImportMapOptions()
   {
-    // Look in DefaultStatsPresetPlugin.js for options
-    const stats = compilation.getStats().toJson({
-      all: false,
-      assets: true,
-      chunkGroups: this.options.entrypoints,
-      chunkGroupChildren: this.options.entrypoints,
-    });
+    return Object.assign(
+      {
+        output: 'importmap.json',
+        scopes: {},
+      },
+      isObject( this.options.importMap ) ? this.options.importMap : {},
+    );
+  }
+
+  /**
+   * Get `options.linkHeaders` with default values.
+   *
+   * The headers are written to `output` unless only `key` is provided.
+   *
+   * @return {object}
+   */
+  getLinkHeaderOptions()
+  {
+    const options = isObject( this.options.linkHeaders ) ? this.options.linkHeaders : {};
+
+    return Object.assign(
+      {
+        output: options.key ? null : 'link-headers.json',
+        key: null,
+        crossorigin: undefined,
+        nopush: false,
+      },
+      options,
+    );
+  }
+
+  /**
+   * Create an {@link https://html.spec.whatwg.org/multipage/webappapis.html#import-maps import map} for the named scripts.
+   *
+   * @param  {object} compilation
+   * @return {object} { imports, scopes, integrity }
+   */
+  getImportMap( compilation )
+  {
+    const { integrityPropertyName } = this.options;
+    const { scopes } = this.getImportMapOptions();
+
+    // Import map addresses must be absolute URLs or start with `/`, `./`, or `../`.
+    const toAddress = file => {
+      const address = this.getPublicPath( file );
+
+      return /^(?:\.{0,2}\/|[a-z][a-z\d+\-.]*:)/i.test( address ) ? address : `./${address}`;
+    };
+
+    const imports = Object.create(null);
+    const integrity = Object.create(null);
+
+    const names = [ ...this.assetNames ]
+      .filter( ([ , file ]) => /\.m?js$/i.test( file ) && ! this.isHMR( file ) )
+      .sort( ([ left ], [ right ]) => left.localeCompare( right ) );
+
+    for ( const [ name, file ] of names ) {
+      const address = toAddress( file );
+      const asset = compilation.getAsset( file );
+
+      imports[ this.fixKey( name ) ] = address;
+
+      if ( asset && asset.info[ integrityPropertyName ] ) {
+        integrity[ address ] = asset.info[ integrityPropertyName ];
+      }
+    }
+
+    return {
+      imports,
+      scopes,
+      integrity,
+    };
+  }
+
+  /**
+   * Get `options.precache` with default values.
+   *
+   * @return {object}
+   */
+  getPrecacheOptions()
+  {
+    const options = Object.assign(
+      {
+        include: [],
+        exclude: [ '**/*.map', '**/*.LICENSE.txt' ],
+        script: false,
+      },
+      isObject( this.options.precache ) ? this.options.precache : {},
+    );
+
+    if ( ! options.output ) {
+      options.output = options.script ? 'precache-manifest.js' : 'precache-manifest.json';
+    }
+
+    return options;
+  }
+
+  /**
+   * Get a service worker precache list.
+   *
+   * Assets that have a hash in their name do not need a `revision`.
+   *
+   * @param  {object} compilation
+   * @return {Array<{url: string, revision: string|null}>}
+   */
+  getPrecacheManifest(compilation)
+  {
+    const { include, exclude } = this.getPrecacheOptions();
+    const isIncluded = include.length ? createMatcher( include ) : () => true;
+    const isExcluded = createMatcher( exclude );
+
+    return compilation.getAssets()
+      .filter( ({ name, info }) => ! info.assetsManifest && ! this.isHMR( name ) && isIncluded( name ) && ! isExcluded( name ) )
+      .map( ({ name, info, source }) => ({
+        url: this.getPublicPath( name ),
+        revision: info.immutable || info.contenthash ? null : getContentHash( source.buffer() ),
+      }))
+      .sort( (left, right) => left.url < right.url ? -1 : left.url > right.url ? 1 : 0 );
+  }
+
+  /**
+   * Merge data if the output file already exists
+   */
+  maybeMerge()
+  {
+    if ( this.options.merge && this.outputData ) {
+      try {
+        this[ IS_MERGING ] = true;
+
+        const data = this.outputData;
+
+        const { entrypoints, entrypointsKey } = this.options;
+
+        for ( const [ key, oldValue ] of Object.entries( data ) ) {
+          const isEntrypoints = entrypoints && key === entrypointsKey && isObject( oldValue ) && isObject( this.get( key ) );
+
+          const value = isEntrypoints ?
+            this.getMergedEntrypoints( oldValue, this.get( key ), this.options.mergeStrategy === 'replace-stale' ) :
+            this.getMergedValue( key, oldValue );
+
+          if ( value !== undefined && ! ( this.has( key ) && this.get( key ) === value ) ) {
+            this.set( key, value );
+          }
+        }
+      } finally {
+        this[ IS_MERGING ] = false;
+      }
+    }
+  }
+
+  /**
+   * Get the path of the backup file of a manifest.
+   *
+   * @param  {string} filename
+   * @return {string}
+   */
+  getBackupPath(filename)
+  {
+    return `${filename}.bak`;
+  }
+
+  /**
+   * Read a manifest file.
+   *
+   * The backup file is used when `options.backup` is enabled and the manifest exists but can't be parsed.
+   *
+   * @param  {string} filename
+   * @param  {string} [format] - Defaults to the format of this manifest
+   * @return {Promise<object>}
+   */
+  async readManifestFile(filename, format = undefined)
+  {
+    try {
+      return this.parse( await fs.promises.readFile( filename, { encoding: 'utf8' } ), format );
+    } catch (err) {
+      if ( ! this.options.backup || err.code === 'ENOENT' ) {
+        throw err;
+      }
+
+      const data = this.parse( await fs.promises.readFile( this.getBackupPath( filename ), { encoding: 'utf8' } ), format );
+
+      this.addWarning(`Unable to read ${path.basename( filename )}: ${err.message}. The backup file was used instead.`);
+
+      return data;
+    }
+  }
+
+  /**
+   * Copy an existing manifest to its backup file before it is replaced.
+   *
+   * Files that can't be parsed are not copied so that the backup stays usable.
+   * Each file is only copied once per compilation.
+   *
+   * @param {string} filename
+   */
+  async backupManifestFile(filename)
+  {
+    if ( this.backupFiles.has( filename ) ) {
+      return;
+    }
+
+    this.backupFiles.add( filename );
+
+    try {
+      const content = await fs.promises.readFile( filename, { encoding: 'utf8' } );
+
+      this.parse( content );
+
+      await writeFileAtomic( this.getBackupPath( filename ), content );
+    } catch (err) { // eslint-disable-line
+    }
+  }
+
+  /**
+   * Get `options.lock` with default values.
+   *
+   * A relative `lockDir` is resolved from the compiler context.
+   *
+   * @return {{lockDir: string, timeout: number, stale: number}}
+   */
+  getLockOptions()
+  {
+    const options = Object.assign(
+      {
+        lockDir: os.tmpdir(),
+        timeout: 10000,
+        stale: 20000,
+      },
+      this.options.lock,
+    );
+
+    options.lockDir = path.resolve( this.compiler ? this.compiler.context : '', options.lockDir );
+
+    return options;
+  }
+
+  /**
+   * Get the LockService that is used to lock the manifest files.
+   *
+   * @return {LockService}
+   */
+  getLockService()
+  {
+    if ( ! this.lockService ) {
+      this.lockService = new LockService( this.getLockOptions() );
+    }
+
+    return this.lockService;
+  }
+
+  /**
+   * Get the path of the existing manifest.
+   *
+   * When `options.output` has `[contenthash]`, the name of the existing manifest is not known ahead of time.
+   * The manifest that was emitted last is used, or the manifest that the `pointer` file names.
+   *
+   * @return {Promise<string|null>} null is returned when the existing manifest can't be found.
+   */
+  async getExistingManifestPath()
+  {
+    const output = this.getOutputPath();
+
+    if ( ! /\[contenthash(?::\d+)?\]/.test( output ) ) {
+      return output;
+    }
+
+    if ( this.manifestPath ) {
+      return this.manifestPath;
+    }
+
+    const pointer = this.getPointerFilename();
+
+    if ( pointer ) {
+      const pointerPath = path.resolve( path.dirname( output ), pointer );
+
+      try {
+        const { current } = JSON.parse( await fs.promises.readFile( pointerPath, { encoding: 'utf8' } ) );
+
+        if ( typeof current === 'string' ) {
+          return path.resolve( path.dirname( pointerPath ), current );
+        }
+      } catch (err) { // eslint-disable-line
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the existing output file for `options.merge` and `options.diff`, and copy it to the backup file.
+   *
+   * The output file is locked until the manifest has been written so that compilers in other processes don't replace it
+   * between the read and the write. The lock is released by `releaseLock()`.
+   */
+  async readExistingManifest()
+  {
+    const { merge, diff, backup } = this.options;
+    const filename = this.getOutputPath();
+
+    this.backupFiles.clear();
+    this.outputData = null;
+    this.previousManifest = {};
+
+    if ( ! ( merge || diff || backup ) ) {
+      return;
+    }
+
+    if ( ! this.lockedPath ) {
+      await this.getLockService().lock( filename );
+
+      this.lockedPath = filename;
+    }
+
+    const existing = await this.getExistingManifestPath();
+
+    if ( backup && existing ) {
+      await this.backupManifestFile( existing );
+    }
+
+    if ( merge && existing ) {
+      const data = await this.readManifestFile( existing ).catch( err => {
+        if ( err.code !== 'ENOENT' ) {
+          this.addWarning(`Unable to read ${path.basename( existing )} for merge: ${err.message}`);
+        }
+
+        return null;
+      });
+
+      this.outputData = isObject( data ) ? data : null;
+    }
+
+    if ( diff ) {
+      this.previousManifest = await this.readPreviousManifest();
+    }
+  }
+
+  /**
+   * Release the lock that was acquired by `readExistingManifest()`.
+   *
+   * @return {Promise<void>}
+   */
+  async releaseLock()
+  {
+    if ( ! this.lockedPath ) {
+      return;
+    }
+
+    const filename = this.lockedPath;
+
+    this.lockedPath = null;
+
+    await this.getLockService().unlock( filename );
+  }
+
+  /**
+   * Get the `options.mergeFrom` sources with their defaults.
+   *
+   * @return {Array<{from: string, namespace: string|function|null, prefix: string|function|null}>}
+   */
+  getMergeFromOptions()
+  {
+    return maybeArrayWrap( this.options.mergeFrom ).map( source => Object.assign(
+      {
+        namespace: null,
+        prefix: null,
+      },
+      typeof source === 'string' ? { from: source } : source,
+    ));
+  }
+
+  /**
+   * Read the manifests that match `options.mergeFrom`.
+   *
+   * The files are added to the compilation file dependencies and the directories of glob patterns are added to
+   * the context dependencies, so that watch mode picks up changed, added, and removed files.
+   *
+   * @param  {object} compilation
+   * @return {Promise<Array<{file: string, data: object, namespace: string|null, prefix: string|null}>>}
+   */
+  async readMergeSources(compilation)
+  {
+    const { context } = compilation.compiler;
+    const serializers = this.getSerializers();
+    const sources = [];
+
+    for ( const { from, namespace, prefix } of this.getMergeFromOptions() ) {
+      const files = ( await findFiles( from, context ) ).filter( file => file !== this.getOutputPath() );
+      const base = getGlobBase( from, context );
+
+      if ( base ) {
+        compilation.contextDependencies.add( base );
+      }
+
+      if ( ! files.length ) {
+        warn( compilation, `mergeFrom "${from}" did not match any files.` );
+      }
+
+      for ( const file of files ) {
+        const name = path.relative( context, file ).replace( /\\/g, '/' );
+
+        compilation.fileDependencies.add( file );
+
+        try {
+          sources.push({
+            file: name,
+            data: parseManifest(
+              await fs.promises.readFile( file, { encoding: 'utf8' } ),
+              getFormatByFilename( file, serializers ) || 'json',
+              serializers,
+              this,
+            ),
+            namespace: typeof namespace === 'function' ? namespace( name ) : namespace,
+            prefix: typeof prefix === 'function' ? prefix( name ) : prefix,
+          });
+        } catch (err) {
+          warn( compilation, `Unable to read ${name} for mergeFrom: ${err.message}` );
+        }
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Read the existing manifests and the `options.mergeFrom` manifests for every manifest.
+   *
+   * @param {object} compilation
+   */
+  async handleReadManifests(compilation)
+  {
+    for ( const manifest of this.getManifests() ) {
+      manifest.compilation = compilation;
+
+      try {
+        manifest.mergeSources = await manifest.readMergeSources( compilation );
+
+        await manifest.readExistingManifest();
+      } finally {
+        manifest.compilation = null;
+      }
+    }
+  }
+
+  /**
+   * Add the entries from the `options.mergeFrom` manifests.
+   *
+   * Keys that are already in the manifest are combined with `options.mergeStrategy`.
+   */
+  mergeFromSources()
+  {
+    const { entrypoints, entrypointsKey, provenance } = this.options;
+
+    this.provenance = Object.create(null);
+
+    try {
+      this[ IS_MERGING ] = true;
+
+      for ( const { file, data, namespace, prefix } of this.mergeSources ) {
+        const entries = namespace ?
+          [ [ namespace, data ] ] :
+          Object.entries( data ).map( ([ key, value ]) => [
+            entrypoints && key === entrypointsKey ? key : `${prefix || ''}${key}`,
+            value,
+          ]);
+
+        for ( let [ key, value ] of entries ) {
+          if ( ! namespace && entrypoints && key === entrypointsKey && isObject( value ) ) {
+            // Entrypoint names are prefixed instead of the section key.
+            const sourceEntrypoints = Object.create(null);
+
+            for ( const [ name, entrypoint ] of Object.entries( value ) ) {
+              sourceEntrypoints[ `${prefix || ''}${name}` ] = entrypoint;
+              this.provenance[ `${entrypointsKey}.${prefix || ''}${name}` ] = file;
+            }
+
+            value = isObject( this.get( key ) ) ?
+              this.getMergedEntrypoints( sourceEntrypoints, this.get( key ), false ) :
+              sourceEntrypoints;
+          } else {
+            if ( this.has( key ) ) {
+              value = this.resolveMergeConflict( this.getStrategyValue( value, this.get( key ) ), key, value, this.get( key ) );
+            }
+
+            this.provenance[ key ] = file;
+          }
+
+          if ( ! ( this.has( key ) && this.get( key ) === value ) ) {
+            this.set( key, value );
+          }
+        }
+      }
+    } finally {
+      this[ IS_MERGING ] = false;
+    }
+
+    if ( provenance && this.mergeSources.length ) {
+      this.setRaw( provenance === true ? 'provenance' : provenance, getSortedObject( this.provenance ) );
+    }
+  }
+
+  /**
+   * Get the value to use for a key that is in the existing manifest.
+   *
+   * @param  {string} key
+   * @param  {any} oldValue - The value from the existing manifest
+   * @return {any} `undefined` if the key should not be added
+   */
+  getMergedValue(key, oldValue)
+  {
+    const { mergeStrategy } = this.options;
+
+    if ( ! this.has( key ) ) {
+      return mergeStrategy === 'replace-stale' && this.isStale( oldValue ) ? undefined : oldValue;
+    }
+
+    const newValue = this.get( key );
+
+    return this.resolveMergeConflict( this.getStrategyValue( oldValue, newValue ), key, oldValue, newValue );
+  }
+
+  /**
+   * Combine an existing value and a current value with `options.mergeStrategy`.
+   *
+   * @param  {any} oldValue
+   * @param  {any} newValue
+   * @return {any}
+   */
+  getStrategyValue(oldValue, newValue)
+  {
+    const { mergeStrategy } = this.options;
+
+    if ( mergeStrategy === 'prefer-existing' ) {
+      return oldValue;
+    }
+
+    if ( isObject( oldValue ) && isObject( newValue ) ) {
+      if ( mergeStrategy === 'deep' ) {
+        const deepmerge = require('deepmerge');
+
+        return deepmerge( oldValue, newValue, { arrayMerge: (destArray, srcArray) => srcArray } );
+      }
+
+      if ( mergeStrategy === 'shallow' ) {
+        return Object.assign( {}, oldValue, newValue );
+      }
+    }
+
+    return newValue;
+  }
+
+  /**
+   * Merge the entrypoints section one entrypoint at a time.
+   *
+   * `options.mergeStrategy` is applied to each entrypoint so the section is never replaced as a whole.
+   *
+   * @param  {object} oldEntrypoints - From the existing manifest
+   * @param  {object} newEntrypoints - From the current compilation
+   * @param  {boolean} dropStale - Drop old entrypoints whose files no longer exist
+   * @return {object}
+   */
+  getMergedEntrypoints(oldEntrypoints, newEntrypoints, dropStale)
+  {
+    const { entrypointsKey } = this.options;
+    const entrypoints = Object.assign( Object.create(null), newEntrypoints );
+
+    for ( const [ name, oldValue ] of Object.entries( oldEntrypoints ) ) {
+      if ( ! Object.prototype.hasOwnProperty.call( newEntrypoints, name ) ) {
+        if ( ! ( dropStale && this.isStale( oldValue ) ) ) {
+          entrypoints[ name ] = oldValue;
+        }
+
+        continue;
+      }
+
+      const newValue = newEntrypoints[ name ];
+
+      entrypoints[ name ] = this.resolveMergeConflict(
+        this.getStrategyValue( oldValue, newValue ),
+        `${entrypointsKey}.${name}`,
+        oldValue,
+        newValue,
+      );
+    }
+
+    return entrypoints;
+  }
+
+  /**
+   * Call the `mergeConflict` hook when the existing and current values are different.
+   *
+   * @param  {any} value - The value chosen by `options.mergeStrategy`
+   * @param  {string} key
+   * @param  {any} oldValue
+   * @param  {any} newValue
+   * @return {any}
+   */
+  resolveMergeConflict(value, key, oldValue, newValue)
+  {
+    if ( JSON.stringify( oldValue ) === JSON.stringify( newValue ) ) {
+      return value;
+    }
+
+    return this.hooks.mergeConflict.call( value, key, oldValue, newValue, this );
+  }
+
+  /**
+   * Determine if the files of a manifest value no longer exist in the output path.
+   *
+   * Values that can't be mapped to a file, like URLs on another domain, are not stale.
+   *
+   * @param  {any} value - An asset value or an entrypoint
+   * @return {boolean}
+   */
+  isStale(value)
+  {
+    const urls = isObject( value ) && isObject( value.assets ) ?
+      [].concat( ...Object.values( getEntrypointUrls( value ) ).map( groups => [].concat( ...Object.values( groups ) ) ) ) :
+      [].concat( getSource( value ) );
+
+    const { publicPath } = this.options;
+    const prefix = publicPath === true ? get( this, 'compiler.options.output.publicPath', '' ) : publicPath;
+
+    return urls.some( url => {
+      const file = typeof url === 'string' &&
+        getAssetPath( url, this.compiler.outputPath, typeof prefix === 'string' ? prefix : '' );
+
+      return file ? ! fs.existsSync( file ) : false;
+    });
+  }
+
+  /**
+   * Get `options.diff` with default values.
+   *
+   * @return {object}
+   */
+  getDiffOptions()
+  {
+    return Object.assign(
+      {
+        output: null,
+        baseline: null,
+      },
+      isObject( this.options.diff ) ? this.options.diff : {},
+    );
+  }
+
+  /**
+   * Read the manifest that the diff is compared to. This is the `baseline` file or the existing output file.
+   *
+   * @return {Promise<object>} An empty object is returned if the file can't be read.
+   */
+  async readPreviousManifest()
+  {
+    const { baseline } = this.getDiffOptions();
+    const filename = baseline ? path.resolve( path.dirname( this.getOutputPath() ), baseline ) : await this.getExistingManifestPath();
+
+    if ( ! filename ) {
+      return {};
+    }
+
+    try {
+      return await this.readManifestFile( filename, baseline ? getFormatByFilename( baseline, this.getSerializers() ) : undefined );
+    } catch (err) { // eslint-disable-line
+      return {};
+    }
+  }
+
+  /**
+   * Emit the assets manifest
+   *
+   * @param {object} compilation
+   */
+  emitAssetsManifest(compilation)
+  {
+    this.emittedAsset = null;
+    this.emittedData = null;
+    this.manifestPath = null;
+    this.writtenPath = null;
+
+    const filename = this.inDevServer() ?
+      path.basename( this.options.output ) :
+      path.relative( compilation.compiler.outputPath, this.getOutputPath() );
+
+    this.maybeMerge();
+    this.mergeFromSources();
+
+    const data = this.toJSON();
+    const content = this.serialize( data );
+    const diff = getManifestDiff( this.previousData || {}, data );
+
+    // `toJSON()` can return `this.assets` itself, which changes with the next build, so keep a copy.
+    this.previousData = JSON.parse( JSON.stringify( data ) || '{}' );
+    this.unchanged = ! hasChanges( diff );
+
+    if ( ! this.unchanged ) {
+      this.hooks.changed.call( diff, this );
+    }
+
+    if ( this.options.diff ) {
+      this.manifestDiff = getManifestDiff( this.previousManifest, data );
+    }
+
+    // The path is resolved after merging so that [contenthash] is for the final content.
+    const output = this.getManifestPath( compilation, filename, content );
+
+    this.emittedAsset = output;
+    this.emittedData = data;
+    this.manifestPath = this.getManifestPath( compilation, this.getOutputPath(), content );
+
+    // The manifest is emitted even when it is unchanged so that webpack knows about the file.
+    // `output.compareBeforeEmit` keeps webpack from writing a file that has the same content.
+    compilation.emitAsset(
+      output,
+      new RawSource(content, false),
+      {
+        assetsManifest: true,
+      },
+    );
+
+    for ( const [ file, content ] of this.getCompanionFiles( output, data ) ) {
+      compilation.emitAsset(
+        file,
+        new RawSource(content, false),
+        {
+          assetsManifest: true,
+        },
+      );
+    }
+  }
+
+  /**
+   * Record details of Asset Modules
+   *
+   * @param {*} compilation
+   */
+  handleProcessAssetsAnalyse( compilation /* , assets */ )
+  {
+    const { contextRelativeKeys } = this.options;
+
+    for ( const chunk of compilation.chunks ) {
+      const modules = compilation.chunkGraph.getChunkModulesIterableBySourceType(
+        chunk,
+        'asset',
+      );
+
+      if ( modules ) {
+        for ( const module of modules ) {
+          const { assetInfo, filename } = module.buildInfo;
+
+          const info = Object.assign(
+            {
+              sourceFilename: path.relative( compilation.compiler.context, module.userRequest ),
+            },
+            assetInfo,
+          );
+
+          compilation.assetsInfo.set(filename, info);
+
+          this.assetNames.set(
+            contextRelativeKeys ?
+              info.sourceFilename :
+              path.join( path.dirname(filename), path.basename(module.userRequest) ),
+            filename,
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Gather asset details
+   *
+   * @param {object} compilation
+   */
+  handleAfterProcessAssets( compilation /* , assets */ )
+  {
+    const useChunkGroups = this.getManifests().some( manifest => manifest.options.entrypoints ) ||
+      !! this.options.htmlTags || !! this.options.linkHeaders;
+
+    // Look in DefaultStatsPresetPlugin.js for options
+    const stats = compilation.getStats().toJson({
+      all: false,
+      assets: true,
+      chunkGroups: useChunkGroups,
+      chunkGroupChildren: useChunkGroups,
+    });
 
     this.processAssetsByChunkName( stats.assetsByChunkName );
 
@@ -522,6 +1733,12 @@ class WebpackAssetsManifest
 
     const { contextRelativeKeys } = this.options;
 
+    // [ key, asset ] pairs that are added to each manifest.
+    const entries = [];
+
+    // Outputs use the same assets, so the same collisions are only reported once.
+    const reportedCollisions = new Set();
+
     for ( const asset of compilation.getAssets() ) {
       if ( asset.info.assetsManifest ) {
         continue;
@@ -538,87 +1755,358 @@ class WebpackAssetsManifest
         sourceFilenames.push( name );
       }
 
-      sourceFilenames.forEach( key => {
-        this.currentAsset = asset;
+      sourceFilenames.forEach( key => entries.push( [ key, asset ] ) );
+    }
 
-        this.set( key, asset.name );
+    for ( const manifest of this.getManifests() ) {
+      manifest.compilation = compilation;
 
-        this.currentAsset = null;
-      });
-    }
+      try {
+        if ( manifest.options.preset ) {
+          const data = presets[ manifest.options.preset ]( compilation, manifest );
 
-    if ( this.options.entrypoints ) {
-      const removeHMR = file => ! this.isHMR(file);
-      const getExtensionGroup = file => this.getExtension(file).substring(1).toLowerCase();
-      const getAssetOrFilename = file => {
-        const asset = this.options.entrypointsUseAssets ?
-          this.assets[ findAssetKeys( file ).pop() ] || this.assets[ file ] :
-          undefined;
+          for ( const [ key, value ] of Object.entries( data ) ) {
+            manifest.setRaw( key, value );
+          }
+        } else {
+          manifest.relatedAssets = manifest.options.groupRelated ? getRelatedAssets( compilation.getAssets() ) : new Map();
+
+          // Related files are added to the entry of the file they belong to instead of having their own entry.
+          const relatedFiles = new Set();
+
+          for ( const related of manifest.relatedAssets.values() ) {
+            [
+              related.sourceMap,
+              ...Object.values( related.compressed || {} ),
+              ...Object.values( related.sourceMapCompressed || {} ),
+            ].forEach( file => relatedFiles.add( file ) );
+          }
 
-        return asset ? asset : this.getPublicPath( file );
-      };
+          manifest.keyAssets.clear();
+          manifest.collisions = [];
 
-      const entrypoints = Object.create(null);
+          entries.filter( ([ , asset ]) => ! relatedFiles.has( asset.name ) ).forEach( ([ key, asset ]) => {
+            manifest.currentAsset = asset;
 
-      for ( const [ name, entrypoint ] of compilation.entrypoints ) {
-        entrypoints[ name ] = {
-          assets: group(
-            entrypoint.getFiles().filter( removeHMR ),
-            getExtensionGroup,
-            getAssetOrFilename,
-          ),
-        };
+            manifest.set( key, asset.name );
 
-        // This contains preload and prefetch
-        const { childAssets } = stats.namedChunkGroups[ name ];
+            manifest.currentAsset = null;
+          });
 
-        for ( const [ property, assets ] of Object.entries( childAssets ) ) {
-          entrypoints[ name ][ property ] = group(
-            assets.filter( removeHMR ),
-            getExtensionGroup,
-            getAssetOrFilename,
-          );
+          manifest.reportCollisions( compilation, reportedCollisions );
+
+          if ( manifest.options.entrypoints ) {
+            manifest.addEntrypoints( compilation, stats, findAssetKeys );
+          }
+        }
+
+        if ( manifest.options.precache ) {
+          manifest.precacheManifest = manifest.getPrecacheManifest( compilation );
+        }
+
+        if ( manifest.options.htmlTags ) {
+          manifest.entrypointTags = manifest.getEntrypointTags( compilation, stats );
+        }
+
+        if ( manifest.options.importMap ) {
+          manifest.importMap = manifest.getImportMap( compilation );
+        }
+
+        if ( manifest.options.linkHeaders ) {
+          manifest.linkHeaders = manifest.getLinkHeaders( compilation, stats );
+
+          const { key } = manifest.getLinkHeaderOptions();
+
+          if ( key ) {
+            manifest.setRaw( key, manifest.linkHeaders );
+          }
+        }
+
+        // The SharedManifest writes the combined manifest instead.
+        if ( ! ( manifest === this && this.shared ) ) {
+          manifest.emitAssetsManifest(compilation);
         }
+      } catch (err) {
+        // Errors thrown here would not reach webpack since afterProcessAssets is called from an async callback.
+        compilation.errors.push( makeWebpackError( err, `${PLUGIN_NAME}.afterProcessAssets` ) );
+      } finally {
+        manifest.compilation = null;
       }
+    }
+  }
+
+  /**
+   * Get the name of the module that created an asset.
+   *
+   * @param  {object} compilation
+   * @param  {object} asset
+   * @return {string}
+   */
+  getAssetSource( compilation, asset )
+  {
+    if ( asset.info.sourceFilename ) {
+      return asset.info.sourceFilename;
+    }
+
+    const { chunkGraph, requestShortener } = compilation;
 
-      if ( this.options.entrypointsKey === false ) {
-        for ( const key in entrypoints ) {
-          this.setRaw( key, entrypoints[ key ] );
+    for ( const chunk of compilation.chunks ) {
+      if ( chunk.files.has( asset.name ) || chunk.auxiliaryFiles.has( asset.name ) ) {
+        const [ module ] = [ ...chunkGraph.getChunkEntryModulesIterable( chunk ), ...chunkGraph.getChunkModulesIterable( chunk ) ];
+
+        if ( module ) {
+          return module.readableIdentifier( requestShortener );
         }
-      } else {
-        this.setRaw( this.options.entrypointsKey, entrypoints );
       }
     }
 
-    this.emitAssetsManifest(compilation);
+    return asset.name;
+  }
+
+  /**
+   * Report the keys that were used by more than one asset.
+   *
+   * `options.collision` decides if they are reported as errors or warnings.
+   *
+   * @param {object} compilation
+   * @param {Set<string>} [reported] - Messages that were already reported by another manifest
+   */
+  reportCollisions( compilation, reported = new Set() )
+  {
+    const { collision } = this.options;
+
+    if ( collision !== 'warn' && collision !== 'error' ) {
+      return;
+    }
+
+    for ( const { key, assets } of this.collisions ) {
+      const [ previous, current ] = assets.map( asset => this.getAssetSource( compilation, asset ) );
+
+      const message = `${PLUGIN_NAME}: Manifest key "${key}" is used by ${previous} (${assets[ 0 ].name}) and ${current} (${assets[ 1 ].name}). ` +
+        `The value from ${current} is used.`;
+
+      if ( reported.has( message ) ) {
+        continue;
+      }
+
+      reported.add( message );
+
+      const error = new WebpackError( message );
+
+      error.name = 'AssetsManifestCollisionError';
+
+      compilation[ collision === 'error' ? 'errors' : 'warnings' ].push( error );
+    }
+  }
+
+  /**
+   * Get the files for each entrypoint.
+   *
+   * @param  {object} compilation
+   * @param  {object} stats - JSON stats that include `namedChunkGroups`
+   * @return {object} entrypoint name: { assets: string[], preload?: string[], prefetch?: string[] }
+   */
+  getEntrypointFiles( compilation, stats )
+  {
+    const removeHMR = file => ! this.isHMR(file);
+
+    const entrypoints = Object.create(null);
+
+    for ( const [ name, entrypoint ] of compilation.entrypoints ) {
+      entrypoints[ name ] = {
+        assets: entrypoint.getFiles().filter( removeHMR ),
+      };
+
+      // This contains preload and prefetch
+      const { childAssets } = stats.namedChunkGroups[ name ];
+
+      for ( const [ property, assets ] of Object.entries( childAssets ) ) {
+        entrypoints[ name ][ property ] = assets.filter( removeHMR );
+      }
+    }
+
+    return entrypoints;
+  }
+
+  /**
+   * Add `compilation.entrypoints` to the manifest
+   *
+   * @param {object} compilation
+   * @param {object} stats - JSON stats that include `namedChunkGroups`
+   * @param {(file: string) => string[]} findAssetKeys
+   */
+  addEntrypoints( compilation, stats, findAssetKeys )
+  {
+    const getExtensionGroup = file => this.getExtension(file).substring(1).toLowerCase();
+    const getAssetOrFilename = file => {
+      const asset = this.options.entrypointsUseAssets ?
+        this.assets[ findAssetKeys( file ).pop() ] || this.assets[ file ] :
+        undefined;
+
+      return asset ? asset : this.getPublicPath( file );
+    };
+
+    const entrypoints = Object.create(null);
+
+    for ( const [ name, properties ] of Object.entries( this.getEntrypointFiles( compilation, stats ) ) ) {
+      entrypoints[ name ] = {};
+
+      for ( const [ property, files ] of Object.entries( properties ) ) {
+        entrypoints[ name ][ property ] = group( files, getExtensionGroup, getAssetOrFilename );
+      }
+    }
+
+    if ( this.options.entrypointsKey === false ) {
+      for ( const key in entrypoints ) {
+        this.setRaw( key, entrypoints[ key ] );
+      }
+    } else {
+      this.setRaw( this.options.entrypointsKey, entrypoints );
+    }
+  }
+
+  /**
+   * Get HTML tags for each entrypoint
+   *
+   * @param  {object} compilation
+   * @param  {object} stats - JSON stats that include `namedChunkGroups`
+   * @return {object} entrypoint name: { assets: string[], preload?: string[], prefetch?: string[] }
+   */
+  getEntrypointTags( compilation, stats )
+  {
+    const { integrity, integrityPropertyName } = this.options;
+    const { crossOriginLoading, module } = compilation.outputOptions;
+
+    return getEntrypointTags(
+      this.getEntrypointFiles( compilation, stats ),
+      file => {
+        const asset = compilation.getAsset( file );
+
+        return {
+          href: this.getPublicPath( file ),
+          integrity: integrity && asset ? asset.info[ integrityPropertyName ] : undefined,
+          crossorigin: crossOriginLoading || undefined,
+          module: !! ( module || ( asset && asset.info.javascriptModule ) ),
+        };
+      },
+    );
+  }
+
+  /**
+   * Get HTTP `Link` header values for each entrypoint
+   *
+   * @param  {object} compilation
+   * @param  {object} stats - JSON stats that include `namedChunkGroups`
+   * @return {object} entrypoint name: header value
+   */
+  getLinkHeaders( compilation, stats )
+  {
+    const { crossorigin, nopush } = this.getLinkHeaderOptions();
+    const getExtensionGroup = file => this.getExtension(file).substring(1).toLowerCase();
+    const getPublicPath = file => this.getPublicPath( file );
+
+    const headers = Object.create(null);
+
+    for ( const [ name, properties ] of Object.entries( this.getEntrypointFiles( compilation, stats ) ) ) {
+      const groups = {};
+
+      for ( const [ property, files ] of Object.entries( properties ) ) {
+        groups[ property ] = group( files, getExtensionGroup, getPublicPath );
+      }
+
+      headers[ name ] = getLinkHeader( groups, {
+        crossorigin: crossorigin === undefined ? compilation.outputOptions.crossOriginLoading : crossorigin,
+        nopush,
+        module: !! compilation.outputOptions.module,
+      });
+    }
+
+    return headers;
   }
 
   /**
-   * Get the parsed output path. [hash] is supported.
+   * Get the parsed output path. [hash] and [contenthash] are supported.
    *
    * @param  {object} compilation - the Webpack compilation object
    * @param  {string} filename
+   * @param  {string} [content] - The serialized manifest
+   * @return {string}
+   */
+  getManifestPath(compilation, filename, content = undefined)
+  {
+    const data = { chunk: { name: 'assets-manifest' }, filename: 'assets-manifest.json' };
+
+    if ( /\[contenthash(?::\d+)?\]/.test( filename ) ) {
+      data.contentHash = this.getManifestHash( compilation, content );
+    }
+
+    return compilation.getPath( filename, data );
+  }
+
+  /**
+   * Hash the serialized manifest using the webpack `output` hash options.
+   *
+   * @param  {object} compilation - the Webpack compilation object
+   * @param  {string} [content] - The serialized manifest
    * @return {string}
    */
-  getManifestPath(compilation, filename)
+  getManifestHash(compilation, content = this.toString())
   {
-    return compilation.getPath( filename, { chunk: { name: 'assets-manifest' }, filename: 'assets-manifest.json' } );
+    const { hashFunction, hashDigest, hashDigestLength } = compilation.outputOptions;
+    const hash = createHash( hashFunction );
+
+    hash.update( content );
+
+    return String( hash.digest( hashDigest ) ).slice( 0, hashDigestLength );
+  }
+
+  /**
+   * Get the path to the pointer file, relative to the manifest.
+   *
+   * When `options.pointer` is `true`, the name is based on `options.output` without the `[contenthash]`.
+   *
+   * @return {string|null}
+   */
+  getPointerFilename()
+  {
+    const { pointer, output } = this.options;
+
+    if ( typeof pointer === 'string' ) {
+      return pointer;
+    }
+
+    if ( pointer ) {
+      const { name } = path.parse( output.replace( /[.-]?\[contenthash(?::\d+)?\]/g, '' ) );
+
+      return `${name}-latest.json`;
+    }
+
+    return null;
   }
 
   /**
    * Write the asset manifest to the file system.
    *
+   * Files are written with `writeFileAtomic()` so that a partially written manifest is never read.
+   *
    * @param {string} destination
+   * @param {object} [data] - The result of `toJSON()`
    */
-  async writeTo(destination)
+  async writeTo(destination, data = this.toJSON())
   {
-    await lock( destination );
+    await this.getLockService().withLock( destination, async () => {
+      await fs.promises.mkdir( path.dirname(destination), { recursive: true } );
 
-    await fs.promises.mkdir( path.dirname(destination), { recursive: true } );
+      if ( this.options.backup ) {
+        await this.backupManifestFile( destination );
+      }
 
-    await fs.promises.writeFile( destination, this.toString() );
+      await writeFileAtomic( destination, this.serialize( data ) );
 
-    await unlock( destination );
+      for ( const [ filename, content ] of this.getCompanionFiles( destination, data ) ) {
+        await writeFileAtomic( filename, content );
+      }
+    });
   }
 
   clear()
@@ -633,7 +2121,7 @@ class WebpackAssetsManifest
    */
   handleWatchRun()
   {
-    this.clear();
+    this.getManifests().forEach( manifest => manifest.clear() );
   }
 
   /**
@@ -649,7 +2137,7 @@ class WebpackAssetsManifest
       return this.inDevServer() &&
         path.relative(
           this.compiler.outputPath,
-          this.getManifestPath( compilation, this.getOutputPath() ),
+          this.manifestPath || this.getManifestPath( compilation, this.getOutputPath() ),
         ).startsWith('..');
     }
 
@@ -657,15 +2145,158 @@ class WebpackAssetsManifest
   }
 
   /**
-   * Last chance to write the manifest to disk.
+   * Last chance to write the manifest to disk and delete stale files.
    *
    * @param  {object} compilation - the Webpack compilation object
    */
   async handleAfterEmit(compilation)
   {
-    if ( this.shouldWriteToDisk(compilation) ) {
-      await this.writeTo( this.getManifestPath( compilation, this.getOutputPath() ) );
+    try {
+      await this.writeManifests(compilation);
+    } finally {
+      await Promise.all( this.getManifests().map( manifest => manifest.releaseLock() ) );
+    }
+
+    if ( this.options.cleanup ) {
+      await this.cleanup(compilation);
+    }
+  }
+
+  /**
+   * Write the manifests that should be written to disk with fs.
+   *
+   * @param  {object} compilation - the Webpack compilation object
+   */
+  async writeManifests(compilation)
+  {
+    for ( const manifest of this.getManifests() ) {
+      if ( manifest.unchanged && manifest.options.skipUnchanged ) {
+        continue;
+      }
+
+      if ( manifest.emittedData && manifest.shouldWriteToDisk(compilation) && ! ( manifest === this && this.shared ) ) {
+        manifest.writtenPath = manifest.manifestPath;
+
+        await manifest.writeTo( manifest.writtenPath, manifest.emittedData );
+      }
+    }
+  }
+
+  /**
+   * Get `options.cleanup` with default values.
+   *
+   * @return {object}
+   */
+  getCleanupOptions()
+  {
+    return Object.assign(
+      {
+        keep: 3,
+        history: 'assets-manifest-history.json',
+        dryRun: false,
+        protect: [],
+      },
+      isObject( this.options.cleanup ) ? this.options.cleanup : {},
+    );
+  }
+
+  /**
+   * Get the files in `output.path` that were created by a compilation, including the manifests and their companion files.
+   *
+   * @param  {object} compilation - the Webpack compilation object
+   * @return {string[]} File paths relative to `output.path`
+   */
+  getGenerationFiles(compilation)
+  {
+    const { outputPath } = compilation.compiler;
+    const files = new Set( compilation.getAssets().map( asset => asset.name.replace( /\\/g, '/' ) ) );
+
+    // Manifests that are written with fs are not assets.
+    for ( const manifest of this.getManifests() ) {
+      if ( manifest.writtenPath ) {
+        [ manifest.writtenPath, ...manifest.getCompanionFiles( manifest.writtenPath, manifest.emittedData ).keys() ].forEach( file => {
+          files.add( path.relative( outputPath, file ).replace( /\\/g, '/' ) );
+        });
+      }
+    }
+
+    return [ ...files ].filter( file => isInDirectory( file, outputPath ) ).sort();
+  }
+
+  /**
+   * Delete the files of compilations that are older than the last `keep` compilations.
+   *
+   * The files of each compilation are saved in the `history` file. Only files in the history are deleted,
+   * so files that this plugin didn't record are never touched. Files are deleted with `compiler.outputFileSystem`.
+   *
+   * @param  {object} compilation - the Webpack compilation object
+   * @return {Promise<string[]>} The stale files
+   */
+  async cleanup(compilation)
+  {
+    const { keep, history, dryRun, protect } = this.getCleanupOptions();
+    const { outputPath, outputFileSystem } = compilation.compiler;
+    const historyPath = path.resolve( outputPath, history );
+    const logger = compilation.getLogger( PLUGIN_NAME );
+    const call = ( method, ...args ) => new Promise( (resolve, reject) => {
+      outputFileSystem[ method ]( ...args, ( err, result ) => err ? reject( err ) : resolve( result ) );
+    });
+
+    let previous = [];
+
+    try {
+      const data = JSON.parse( ( await call( 'readFile', historyPath ) ).toString() );
+
+      if ( isObject( data ) && Array.isArray( data.generations ) ) {
+        // The history can be edited, so only files inside `output.path` are deleted or kept in it.
+        previous = data.generations.filter( files => Array.isArray( files ) ).map( files => files.filter( file => {
+          const inOutputPath = isInDirectory( file, outputPath );
+
+          if ( ! inOutputPath ) {
+            logger.warn(`Ignoring ${JSON.stringify( file )} in ${history} since it isn't a file in output.path.`);
+          }
+
+          return inOutputPath;
+        }));
+      } else {
+        logger.warn(`Ignoring ${history} since it doesn't have a generations array.`);
+      }
+    } catch (err) { // eslint-disable-line
+    }
+
+    const generations = [ this.getGenerationFiles( compilation ), ...previous ];
+    const kept = generations.slice( 0, keep );
+    const used = new Set( [].concat( ...kept ) );
+    const isProtected = createMatcher( protect );
+    const historyFile = path.relative( outputPath, historyPath ).replace( /\\/g, '/' );
+
+    const stale = [ ...new Set( [].concat( ...generations.slice( keep ) ) ) ].filter(
+      file => ! used.has( file ) && file !== historyFile && ! isProtected( file ),
+    ).sort();
+
+    for ( const file of stale ) {
+      if ( ! dryRun ) {
+        try {
+          await call( 'unlink', path.join( outputPath, file ) );
+        } catch (err) {
+          if ( err.code !== 'ENOENT' ) {
+            throw err;
+          }
+
+          continue;
+        }
+      }
+
+      logger.info(`${dryRun ? 'Stale file' : 'Deleted stale file'}: ${file}`);
     }
+
+    await new Promise( (resolve, reject) => {
+      mkdirp( outputFileSystem, path.dirname( historyPath ), err => err ? reject( err ) : resolve() );
+    });
+
+    await call( 'writeFile', historyPath, JSON.stringify( { generations: kept }, null, this.options.space ) );
+
+    return stale;
   }
 
   /**
@@ -744,7 +2375,43 @@ class WebpackAssetsManifest
    */
   handleThisCompilation(compilation)
   {
-    if ( this.options.integrity ) {
+    // Files are read before `afterProcessAssets` since reading them while holding a lock is async.
+    // The last stage is used so that the lock isn't held while other plugins optimize the assets.
+    compilation.hooks.processAssets.tapPromise(
+      {
+        name: PLUGIN_NAME,
+        stage: Compilation.PROCESS_ASSETS_STAGE_REPORT,
+      },
+      this.handleReadManifests.bind(this, compilation),
+    );
+
+    // Add `assetsManifest` to `stats.toJson()`
+    compilation.hooks.statsFactory.tap(PLUGIN_NAME, statsFactory => {
+      statsFactory.hooks.extract.for('compilation').tap(PLUGIN_NAME, (object, data) => {
+        if ( data === compilation ) {
+          object.assetsManifest = this.getSummary( compilation );
+        }
+      });
+    });
+
+    for ( const manifest of this.getManifests() ) {
+      manifest.pendingWarnings.splice(0).forEach( message => warn( compilation, message ) );
+
+      manifest.unsupportedHashes.forEach(
+        hash => warn( compilation, `${hash} is not a supported hash algorithm` ),
+      );
+
+      if (
+        ! path.isAbsolute( manifest.options.output ) &&
+        manifest.inDevServer() &&
+        manifest.getDevServerOutputPath() === '/'
+      ) {
+        warn( compilation, 'Please use an absolute path in options.output when using webpack-dev-server.' );
+      }
+    }
+
+    // Import maps always include integrity metadata.
+    if ( this.getManifests().some( manifest => manifest.options.integrity || manifest.options.importMap ) ) {
       compilation.hooks.afterProcessAssets.tap(
         PLUGIN_NAME,
         this.recordSubresourceIntegrity.bind(this, compilation),
@@ -785,10 +2452,10 @@ class WebpackAssetsManifest
     }
 
     if ( this.inDevServer() ) {
-      let outputPath = get( this, 'compiler.options.devServer.outputPath', get( this, 'compiler.outputPath', '/' ) );
+      let outputPath = this.getDevServerOutputPath();
 
+      // handleThisCompilation() warns about this.
       if ( outputPath === '/' ) {
-        warn.once('Please use an absolute path in options.output when using webpack-dev-server.');
         outputPath = get( this, 'compiler.context', process.cwd() );
       }
 
@@ -798,6 +2465,79 @@ class WebpackAssetsManifest
     return path.resolve( this.compiler.outputPath, this.options.output );
   }
 
+  /**
+   * Get a summary of the manifest and the manifests created from `options.outputs`.
+   *
+   * @param  {object} compilation
+   * @return {object}
+   */
+  getSummary(compilation)
+  {
+    const { entrypoints, entrypointsKey, integrity, integrityHashes, merge } = this.options;
+    const keys = Object.keys( this.assets );
+    const entrypointNames = entrypoints ?
+      Object.keys( ( entrypointsKey === false ? this.assets : this.assets[ entrypointsKey ] ) || {} ) :
+      [];
+
+    const summary = {
+      output: this.writtenPath || (
+        this.emittedAsset ? path.join( compilation.compiler.outputPath, this.emittedAsset ) : this.getOutputPath()
+      ),
+      emitted: this.emittedAsset !== null,
+      writtenToDisk: this.writtenPath !== null,
+      unchanged: this.unchanged,
+      entries: entrypoints && entrypointsKey !== false ? keys.filter( key => key !== entrypointsKey ).length : keys.length,
+      entrypoints: entrypointNames,
+      integrity: integrity ? integrityHashes : [],
+      merge,
+    };
+
+    if ( this.outputs.length ) {
+      summary.outputs = this.outputs.map( manifest => manifest.getSummary( compilation ) );
+    }
+
+    return summary;
+  }
+
+  /**
+   * Log a summary of each manifest with the compilation logger.
+   *
+   * @param {object} compilation
+   */
+  logSummary(compilation)
+  {
+    const logger = compilation.getLogger(PLUGIN_NAME);
+    const summary = this.getSummary( compilation );
+
+    for ( const { output, emitted, writtenToDisk, unchanged, entries, entrypoints, integrity, merge } of [ summary, ...( summary.outputs || [] ) ] ) {
+      const status = [
+        emitted && 'emitted',
+        writtenToDisk && 'written to disk',
+        unchanged && 'unchanged',
+      ].filter( Boolean );
+
+      const rows = [
+        [ 'Output', `${output}${status.length ? ` (${status.join(', ')})` : ''}` ],
+        [ 'Entries', entries ],
+        [ 'Entrypoints', entrypoints.length ? entrypoints.join(', ') : 'none' ],
+        [ 'Integrity', integrity.length ? integrity.join(', ') : 'disabled' ],
+        [ 'Merge', merge === false ? 'disabled' : String( merge ) ],
+      ];
+
+      logger.info( rows.map( ([ label, value ]) => `${label.padEnd(12)} ${value}` ).join('\n') );
+    }
+  }
+
+  /**
+   * Get the output path that webpack-dev-server uses.
+   *
+   * @return {string}
+   */
+  getDevServerOutputPath()
+  {
+    return get( this, 'compiler.options.devServer.outputPath', get( this, 'compiler.outputPath', '/' ) );
+  }
+
   /**
    * Get the public path for the filename
    *
@@ -857,4 +2597,6 @@ class WebpackAssetsManifest
   }
 }
 
+WebpackAssetsManifest.VirtualManifestPlugin = VirtualManifestPlugin;
+
 module.exports = WebpackAssetsManifest;
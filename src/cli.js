@@ -0,0 +1,506 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { getAssetPath, getManifestDiff, hasChanges, isObject } = require('./helpers.js');
+const { getSource, getEntrypointFiles, createRuntime, readManifestFile } = require('./runtime.js');
+const { getDefaultSerializers } = require('./serializers.js');
+
+const usage = `Usage: webpack-assets-manifest <command> [options]
+
+Commands:
+  get <manifest> <key>                  Print the URL of an asset
+  entrypoint <manifest> <name> [type]   Print the URLs of an entrypoint
+  diff <previous> <current>             Print the changes between two manifests
+  verify <manifest>                     Check that the assets exist and match their integrity
+  convert <manifest>                    Convert the manifest to another format
+
+Options:
+  --entrypoints-key <key>               The entrypointsKey plugin option. Use "false" if it was disabled. (default: "entrypoints")
+  --integrity-property-name <name>      The integrityPropertyName plugin option (default: "integrity")
+  --integrity                           get: Print the integrity instead of the URL
+  --json                                get, entrypoint, diff: Print JSON
+  --exit-code                           diff: Exit with 1 when the manifests are different
+  --dir <dir>                           verify: The directory of the assets (default: the manifest directory)
+  --public-path <url>                   verify: Removed from the start of each URL
+  --format <name>                       convert: json, yaml, toml or ndjson (default: from the --output extension)
+  --output <file>                       convert: Write to a file instead of stdout
+  --space <number>                      convert: Indentation (default: 2)
+  --help                                Show this message
+`;
+
+const flags = new Set([ 'integrity', 'json', 'exit-code', 'help' ]);
+
+const settings = new Set([
+  'entrypoints-key',
+  'integrity-property-name',
+  'dir',
+  'public-path',
+  'format',
+  'output',
+  'space',
+]);
+
+/**
+ * Get the positional arguments and the options.
+ *
+ * @param  {string[]} argv
+ * @return {{args: string[], options: object}}
+ */
+function parseArgs( argv )
+{
+  const args = [];
+  const options = {
+    'entrypoints-key': 'entrypoints',
+    'integrity-property-name': 'integrity',
+    space: '2',
+  };
+
+  for ( let i = 0; i < argv.length; ++i ) {
+    const arg = argv[ i ];
+
+    if ( ! arg.startsWith('--') ) {
+      args.push( arg );
+
+      continue;
+    }
+
+    const index = arg.indexOf('=');
+    const name = index === -1 ? arg.slice(2) : arg.slice( 2, index );
+    const value = index === -1 ? undefined : arg.slice( index + 1 );
+
+    if ( flags.has( name ) ) {
+      options[ name ] = true;
+    } else if ( settings.has( name ) ) {
+      if ( value === undefined && i + 1 >= argv.length ) {
+        throw new Error(`--${name} requires a value`);
+      }
+
+      options[ name ] = value === undefined ? argv[ ++i ] : value;
+    } else {
+      throw new Error(`Unknown option --${name}`);
+    }
+  }
+
+  return { args, options };
+}
+
+/**
+ * @param  {string} file
+ * @return {object}
+ */
+function readManifest( file )
+{
+  try {
+    return readManifestFile( file );
+  } catch (err) {
+    throw new Error(`Unable to read ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * @param  {object} options - CLI options
+ * @return {string|false}
+ */
+function getEntrypointsKey( options )
+{
+  const key = options[ 'entrypoints-key' ];
+
+  return key === 'false' ? false : key;
+}
+
+/**
+ * Split the manifest into the asset entries and the entrypoints.
+ *
+ * @param  {object} data - Manifest data
+ * @param  {string|false} entrypointsKey
+ * @return {{assets: object, entrypoints: object}}
+ */
+function splitManifest( data, entrypointsKey )
+{
+  if ( entrypointsKey !== false ) {
+    const { [ entrypointsKey ]: entrypoints = {}, ...assets } = data;
+
+    return { assets, entrypoints };
+  }
+
+  const assets = {};
+  const entrypoints = {};
+
+  for ( const [ key, value ] of Object.entries( data ) ) {
+    const isEntrypoint = isObject( value ) && isObject( value.assets );
+
+    ( isEntrypoint ? entrypoints : assets )[ key ] = value;
+  }
+
+  return { assets, entrypoints };
+}
+
+/**
+ * Throw if there are not enough arguments.
+ *
+ * @param {string[]} args
+ * @param {string[]} names - Names of the required arguments
+ */
+function requireArgs( args, names )
+{
+  if ( args.length < names.length ) {
+    throw new Error(`Missing argument <${names[ args.length ]}>`);
+  }
+}
+
+/**
+ * Print the URL, integrity or value of an asset.
+ *
+ * @param  {string[]} args
+ * @param  {object} options
+ * @param  {object} io
+ * @return {number}
+ */
+function get( args, options, io )
+{
+  requireArgs( args, [ 'manifest', 'key' ] );
+
+  const [ file, key ] = args;
+  const runtime = createRuntime({
+    filename: file,
+    integrityPropertyName: options[ 'integrity-property-name' ],
+  });
+
+  const data = runtime.load();
+
+  if ( ! Object.prototype.hasOwnProperty.call( data, key ) ) {
+    throw new Error(`"${key}" was not found in ${file}`);
+  }
+
+  if ( options.json ) {
+    io.stdout.write( JSON.stringify( data[ key ], null, 2 ) + '\n' );
+
+    return 0;
+  }
+
+  const value = options.integrity ? runtime.integrity( key ) : runtime.asset( key );
+
+  if ( value === undefined ) {
+    throw new Error(`"${key}" does not have ${options.integrity ? 'an integrity' : 'a URL'}`);
+  }
+
+  // Values of the `array` collision policy have a line for each asset.
+  io.stdout.write( [].concat( value ).join('\n') + '\n' );
+
+  return 0;
+}
+
+/**
+ * Print the URLs of an entrypoint.
+ *
+ * @param  {string[]} args
+ * @param  {object} options
+ * @param  {object} io
+ * @return {number}
+ */
+function entrypoint( args, options, io )
+{
+  requireArgs( args, [ 'manifest', 'name' ] );
+
+  const [ file, name, type ] = args;
+  const runtime = createRuntime({
+    filename: file,
+    entrypointsKey: getEntrypointsKey( options ),
+  });
+
+  const files = runtime.entrypoint( name );
+
+  if ( ! files ) {
+    throw new Error(`Entrypoint "${name}" was not found in ${file}`);
+  }
+
+  const value = type ? files.assets[ type ] || [] : files;
+
+  if ( options.json ) {
+    io.stdout.write( JSON.stringify( value, null, 2 ) + '\n' );
+  } else {
+    const urls = type ? value : [].concat( ...Object.values( files.assets ) );
+
+    urls.forEach( url => io.stdout.write( url + '\n' ) );
+  }
+
+  return 0;
+}
+
+/**
+ * Describe a manifest value in one line.
+ *
+ * @param  {*} value
+ * @param  {string} integrityPropertyName
+ * @return {string}
+ */
+function describe( value, integrityPropertyName )
+{
+  if ( Array.isArray( value ) ) {
+    return value.map( item => describe( item, integrityPropertyName ) ).join(', ');
+  }
+
+  const source = getSource( value );
+
+  if ( typeof source !== 'string' ) {
+    return JSON.stringify( value );
+  }
+
+  return isObject( value ) && value[ integrityPropertyName ] ? `${source} (${value[ integrityPropertyName ]})` : source;
+}
+
+/**
+ * Get the diff lines for one section.
+ *
+ * @param  {object} diff - From getManifestDiff()
+ * @param  {function} format - Formats a value
+ * @return {string[]}
+ */
+function getDiffLines( diff, format )
+{
+  return [
+    ...Object.entries( diff.added ).map( ([ key, value ]) => `+ ${key}: ${format( value )}` ),
+    ...Object.entries( diff.removed ).map( ([ key, value ]) => `- ${key}: ${format( value )}` ),
+    ...Object.entries( diff.changed ).map(
+      ([ key, { previous, current } ]) => `~ ${key}: ${format( previous )} -> ${format( current )}`,
+    ),
+  ];
+}
+
+/**
+ * Print the changes between two manifests.
+ *
+ * The entrypoints are compared by their URLs.
+ *
+ * @param  {string[]} args
+ * @param  {object} options
+ * @param  {object} io
+ * @return {number}
+ */
+function diff( args, options, io )
+{
+  requireArgs( args, [ 'previous', 'current' ] );
+
+  const entrypointsKey = getEntrypointsKey( options );
+  const [ previous, current ] = args.map( file => splitManifest( readManifest( file ), entrypointsKey ) );
+
+  const getFiles = entrypoints => Object.entries( entrypoints ).reduce( (files, [ name, value ]) => {
+    files[ name ] = getEntrypointFiles( value );
+
+    return files;
+  }, {});
+
+  const result = {
+    assets: getManifestDiff( previous.assets, current.assets ),
+    entrypoints: getManifestDiff( getFiles( previous.entrypoints ), getFiles( current.entrypoints ) ),
+  };
+
+  const changed = hasChanges( result.assets ) || hasChanges( result.entrypoints );
+
+  if ( options.json ) {
+    io.stdout.write( JSON.stringify( result, null, 2 ) + '\n' );
+  } else {
+    const lines = [
+      ...getDiffLines( result.assets, value => describe( value, options[ 'integrity-property-name' ] ) ),
+      ...getDiffLines( result.entrypoints, value => JSON.stringify( value.assets ) ).map(
+        line => line.replace( /^(.) /, `$1 ${entrypointsKey || 'entrypoints'}.` ),
+      ),
+    ];
+
+    io.stdout.write( changed ? lines.join('\n') + '\n' : 'No changes\n' );
+  }
+
+  return changed && options[ 'exit-code' ] ? 1 : 0;
+}
+
+/**
+ * Check that the integrity matches the file content.
+ *
+ * @param  {string} integrity - One or more space separated hashes
+ * @param  {Buffer} content
+ * @return {string|undefined} A problem description
+ */
+function checkIntegrity( integrity, content )
+{
+  for ( const expected of integrity.split( /\s+/ ).filter( Boolean ) ) {
+    const [ algorithm ] = expected.split('-');
+
+    try {
+      if ( `${algorithm}-${crypto.createHash( algorithm ).update( content ).digest('base64')}` !== expected ) {
+        return `integrity does not match ${expected}`;
+      }
+    } catch (err) {
+      return `unsupported integrity algorithm ${algorithm}`;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Check that the assets and entrypoint files exist and that their integrity matches.
+ *
+ * @param  {string[]} args
+ * @param  {object} options
+ * @param  {object} io
+ * @return {number}
+ */
+function verify( args, options, io )
+{
+  requireArgs( args, [ 'manifest' ] );
+
+  const [ file ] = args;
+  const integrityPropertyName = options[ 'integrity-property-name' ];
+  const dir = path.resolve( options.dir || path.dirname( file ) );
+  const { assets, entrypoints } = splitManifest( readManifest( file ), getEntrypointsKey( options ) );
+
+  // URL: { label, integrity }
+  const files = new Map();
+
+  const add = ( value, label ) => {
+    if ( Array.isArray( value ) ) {
+      value.forEach( item => add( item, label ) );
+
+      return;
+    }
+
+    const url = getSource( value );
+
+    if ( typeof url === 'string' && ! files.has( url ) ) {
+      files.set( url, {
+        label,
+        integrity: isObject( value ) ? value[ integrityPropertyName ] : undefined,
+      });
+    }
+  };
+
+  Object.entries( assets ).forEach( ([ key, value ]) => add( value, key ) );
+
+  for ( const [ name, value ] of Object.entries( entrypoints ) ) {
+    for ( const groups of Object.values( value ) ) {
+      Object.values( groups ).forEach( items => items.forEach( item => add( item, `entrypoint ${name}` ) ) );
+    }
+  }
+
+  const problems = [];
+
+  for ( const [ url, { label, integrity } ] of files ) {
+    const filename = getAssetPath( url, dir, options[ 'public-path' ] );
+
+    if ( ! filename ) {
+      problems.push(`${label}: ${url} is not relative to the public path`);
+    } else if ( ! fs.existsSync( filename ) ) {
+      problems.push(`${label}: ${filename} does not exist`);
+    } else if ( integrity ) {
+      const problem = checkIntegrity( integrity, fs.readFileSync( filename ) );
+
+      if ( problem ) {
+        problems.push(`${label}: ${problem}`);
+      }
+    }
+  }
+
+  if ( problems.length ) {
+    io.stderr.write( problems.join('\n') + '\n' );
+
+    return 1;
+  }
+
+  io.stdout.write(`Verified ${files.size} files\n`);
+
+  return 0;
+}
+
+/**
+ * Convert a manifest to another format.
+ *
+ * @param  {string[]} args
+ * @param  {object} options
+ * @param  {object} io
+ * @return {number}
+ */
+function convert( args, options, io )
+{
+  requireArgs( args, [ 'manifest' ] );
+
+  const serializers = getDefaultSerializers();
+  const extension = options.output && path.extname( options.output ).toLowerCase();
+  const format = options.format || [ ...serializers.keys() ].find(
+    name => serializers.get( name ).extensions.includes( extension ),
+  );
+
+  if ( ! serializers.has( format ) ) {
+    throw new Error( format ? `Unknown format "${format}"` : 'Use --format or an --output file extension to choose the format' );
+  }
+
+  const content = serializers.get( format ).serialize(
+    readManifest( args[ 0 ] ),
+    {
+      options: {
+        replacer: null,
+        space: Number( options.space ),
+      },
+    },
+  );
+
+  if ( options.output ) {
+    fs.mkdirSync( path.dirname( options.output ), { recursive: true } );
+    fs.writeFileSync( options.output, content );
+  } else {
+    io.stdout.write( content );
+  }
+
+  return 0;
+}
+
+const commands = {
+  get,
+  entrypoint,
+  diff,
+  verify,
+  convert,
+};
+
+/**
+ * Run the command line tool.
+ *
+ * @param  {string[]} argv - Arguments without the node and script paths
+ * @param  {object} [io] - Streams for the output
+ * @return {number} Exit code
+ */
+function run( argv, io = process )
+{
+  try {
+    const { args: [ command, ...args ], options } = parseArgs( argv );
+
+    if ( options.help ) {
+      io.stdout.write( usage );
+
+      return 0;
+    }
+
+    if ( ! command ) {
+      io.stderr.write( usage );
+
+      return 2;
+    }
+
+    if ( ! Object.prototype.hasOwnProperty.call( commands, command ) ) {
+      throw new Error(`Unknown command "${command}"`);
+    }
+
+    return commands[ command ]( args, options, io );
+  } catch (err) {
+    io.stderr.write(`webpack-assets-manifest: ${err.message}\n`);
+
+    return 2;
+  }
+}
+
+module.exports = {
+  parseArgs,
+  run,
+};
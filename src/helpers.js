@@ -1,44 +1,42 @@
 'use strict';
 
-const os = require('os');
+const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const util = require('util');
-const chalk = require('chalk');
 const escapeRegExp = require('lodash.escaperegexp');
-const lockfile = require('lockfile');
+const picomatch = require('picomatch');
+const fastGlob = require('fast-glob');
+const { WebpackError } = require('webpack');
 
-const lfLock = util.promisify(lockfile.lock);
-const lfUnlock = util.promisify(lockfile.unlock);
+const PLUGIN_NAME = 'WebpackAssetsManifest';
+
+// compilation: Set of the warning messages that have been added
+const reportedWarnings = new WeakMap();
 
 /**
- * Display a warning message.
+ * Add a warning to the compilation. Each message is only added once per compilation.
+ *
+ * The warning isn't also logged with the compilation logger since the stats output would show it twice.
  *
+ * @param {object} compilation
  * @param {string} message
  */
-function warn( message )
+function warn( compilation, message )
 {
-  const prefix = chalk.hex('#CC4A8B')('WARNING:');
-
-  console.warn(chalk`${prefix} ${message}`);
-}
+  if ( ! reportedWarnings.has( compilation ) ) {
+    reportedWarnings.set( compilation, new Set() );
+  }
 
-warn.cache = new Set();
+  const reported = reportedWarnings.get( compilation );
 
-/**
- * Display a warning message once.
- *
- * @param {string} message
- */
-warn.once = function( message ) {
-  if ( warn.cache.has( message ) ) {
+  if ( reported.has( message ) ) {
     return;
   }
 
-  warn( message );
+  reported.add( message );
 
-  warn.cache.add( message );
-};
+  compilation.warnings.push( new WebpackError(`${PLUGIN_NAME}: ${message}`) );
+}
 
 /**
  * @param  {*} data
@@ -59,15 +57,7 @@ function filterHashes( hashes )
 {
   const validHashes = crypto.getHashes();
 
-  return hashes.filter( hash => {
-    if ( validHashes.includes(hash) ) {
-      return true;
-    }
-
-    warn(chalk`{blueBright ${hash}} is not a supported hash algorithm`);
-
-    return false;
-  });
+  return hashes.filter( hash => validHashes.includes(hash) );
 }
 
 /**
@@ -113,7 +103,7 @@ function isObject( arg )
  * Get an object sorted by keys.
  *
  * @param  {object} object
- * @param  {(a: string, b: string) => number} compareFunction
+ * @param  {(a: string, b: string) => number} [compareFunction]
  * @return {object}
  */
 function getSortedObject(object, compareFunction)
@@ -182,69 +172,257 @@ function group( arr, getGroup, mapper = item => item )
 }
 
 /**
- * Build a file path to a lock file in the tmp directory
+ * Create a function that determines if a filename matches any of the patterns.
  *
- * @param {string} filename
+ * Patterns can be a glob string, a RegExp, or a function that returns a boolean.
+ *
+ * @param  {Array<string|RegExp|((filename: string) => boolean)>} patterns
+ * @return {(filename: string) => boolean}
  */
-function getLockFilename( filename )
+function createMatcher( patterns )
 {
-  const name = filename.replace(/[^\w]+/g, '-');
+  const matchers = maybeArrayWrap( patterns ).map( pattern => {
+    if ( pattern instanceof RegExp ) {
+      return filename => pattern.test( filename );
+    }
+
+    if ( typeof pattern === 'function' ) {
+      return pattern;
+    }
 
-  return path.join( os.tmpdir(), `${name}.lock` );
+    return picomatch( pattern, { dot: true } );
+  });
+
+  return filename => matchers.some( matcher => matcher( filename ) );
 }
 
 /**
- * Create a lockfile (async)
+ * Get a hex encoded hash of some content.
  *
- * @param {string} filename
+ * @param  {string|Buffer} content
+ * @param  {string} algorithm
+ * @return {string}
  */
-async function lock( filename )
+function getContentHash( content, algorithm = 'md5' )
 {
-  await lfLock(
-    getLockFilename( filename ),
-    {
-      wait: 10000,
-      stale: 20000,
-      retries: 100,
-      retryWait: 100,
-    },
-  );
+  return crypto.createHash( algorithm ).update( content ).digest('hex');
 }
 
 /**
- * Create a lockfile
+ * Compare two versions of manifest data.
  *
- * @param {string} filename
+ * Values are compared as JSON since that is how they are written.
+ *
+ * @param  {object} previous
+ * @param  {object} current
+ * @return {{added: object, removed: object, changed: object}} `changed` has `{ previous, current }` for each key
  */
-function lockSync( filename )
+function getManifestDiff( previous, current )
 {
-  return lockfile.lockSync(
-    getLockFilename( filename ),
-    {
-      stale: 20000,
-      retries: 200,
-    },
-  );
+  const diff = {
+    added: Object.create(null),
+    removed: Object.create(null),
+    changed: Object.create(null),
+  };
+
+  for ( const [ key, value ] of Object.entries( current ) ) {
+    if ( ! Object.prototype.hasOwnProperty.call( previous, key ) ) {
+      diff.added[ key ] = value;
+    } else if ( JSON.stringify( previous[ key ] ) !== JSON.stringify( value ) ) {
+      diff.changed[ key ] = { previous: previous[ key ], current: value };
+    }
+  }
+
+  for ( const [ key, value ] of Object.entries( previous ) ) {
+    if ( ! Object.prototype.hasOwnProperty.call( current, key ) ) {
+      diff.removed[ key ] = value;
+    }
+  }
+
+  return diff;
 }
 
 /**
- * Remove a lockfile (async)
+ * Determine if a diff created by `getManifestDiff()` has any changes.
  *
- * @param {string} filename
+ * @param  {object} diff
+ * @return {boolean}
  */
-async function unlock( filename )
+function hasChanges( diff )
 {
-  await lfUnlock( getLockFilename( filename ) );
+  return [ diff.added, diff.removed, diff.changed ].some( entries => Object.keys( entries ).length > 0 );
 }
 
 /**
- * Remove a lockfile
+ * File extension: `Content-Encoding` value
+ */
+const compressionEncodings = new Map([
+  [ 'gz', 'gzip' ],
+  [ 'br', 'br' ],
+  [ 'zst', 'zstd' ],
+]);
+
+/**
+ * Find the source maps and compressed files that belong to each asset.
+ *
+ * Files are found using `asset.info.related` and by checking for an extension that was added to another asset's name,
+ * which is how source maps and compression-webpack-plugin name their files.
+ * Compressed source maps, like `main.js.map.gz`, belong to the asset of the source map.
+ *
+ * @param  {Array<{name: string, info: object}>} assets
+ * @return {Map<string, object>} asset name: { sourceMap?: string, compressed?: { [encoding]: string }, sourceMapCompressed?: { [encoding]: string } }
+ */
+function getRelatedAssets( assets )
+{
+  const names = new Set( assets.map( asset => asset.name ) );
+  const related = new Map();
+
+  const addRelated = ( parent, file ) => {
+    if ( file === parent || ! names.has( parent ) || ! names.has( file ) ) {
+      return;
+    }
+
+    const ext = path.extname( file ).substring(1).toLowerCase();
+    const files = related.get( parent ) || {};
+
+    if ( ext === 'map' ) {
+      files.sourceMap = files.sourceMap || file;
+    } else if ( compressionEncodings.has( ext ) ) {
+      files.compressed = files.compressed || {};
+      files.compressed[ compressionEncodings.get( ext ) ] = file;
+    } else {
+      return;
+    }
+
+    related.set( parent, files );
+  };
+
+  for ( const { name, info } of assets ) {
+    for ( const files of Object.values( info.related || {} ) ) {
+      maybeArrayWrap( files ).forEach( file => addRelated( name, file ) );
+    }
+
+    const match = name.match( /^(.+)\.(?:map|gz|br|zst)$/i );
+
+    if ( match ) {
+      addRelated( match[ 1 ], name );
+    }
+  }
+
+  for ( const files of related.values() ) {
+    const sourceMapFiles = files.sourceMap && related.get( files.sourceMap );
+
+    if ( sourceMapFiles && sourceMapFiles.compressed ) {
+      files.sourceMapCompressed = sourceMapFiles.compressed;
+
+      related.delete( files.sourceMap );
+    }
+  }
+
+  return related;
+}
+
+/**
+ * Get the directory that a glob pattern starts in.
+ *
+ * @param  {string} pattern - Relative patterns are resolved from `context`
+ * @param  {string} context
+ * @return {string|null} null is returned when `pattern` is not a glob.
+ */
+function getGlobBase( pattern, context )
+{
+  const { base, isGlob } = picomatch.scan( path.resolve( context, pattern ).replace( /\\/g, '/' ) );
+
+  return isGlob ? path.normalize( base ) : null;
+}
+
+/**
+ * Find the files that match a path or a glob pattern.
+ *
+ * Directories that can't match the pattern are not read.
+ *
+ * @param  {string} pattern - Relative patterns are resolved from `context`
+ * @param  {string} context
+ * @return {Promise<string[]>} Sorted absolute paths
+ */
+async function findFiles( pattern, context )
+{
+  const absolute = path.resolve( context, pattern ).replace( /\\/g, '/' );
+  const { base, glob, isGlob } = picomatch.scan( absolute );
+
+  if ( ! isGlob ) {
+    return fs.existsSync( absolute ) ? [ path.normalize( absolute ) ] : [];
+  }
+
+  try {
+    const files = await fastGlob( glob, { cwd: base, dot: true, onlyFiles: true } );
+
+    return files.sort().map( file => path.join( base, file ) );
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Get the file path of an asset URL.
+ *
+ * @param  {string} url
+ * @param  {string} dir
+ * @param  {string} [publicPath]
+ * @return {string|undefined} undefined is returned for URLs that are not relative to the public path.
+ */
+function getAssetPath( url, dir, publicPath )
+{
+  let relative = url.split( /[?#]/ )[ 0 ];
+
+  if ( publicPath && relative.startsWith( publicPath ) ) {
+    relative = relative.slice( publicPath.length );
+  } else if ( /^(?:[a-z][a-z\d+.-]*:)?\/\//i.test( relative ) ) {
+    return undefined;
+  }
+
+  return path.join( dir, decodeURI( relative ).replace( /^\/+/, '' ) );
+}
+
+/**
+ * Determine if a relative file path is inside a directory.
+ *
+ * @param  {*} file
+ * @param  {string} dir
+ * @return {boolean} false is returned for absolute paths and paths that resolve outside of `dir`.
+ */
+function isInDirectory( file, dir )
+{
+  if ( typeof file !== 'string' || path.isAbsolute( file ) ) {
+    return false;
+  }
+
+  const relative = path.relative( dir, path.resolve( dir, file ) );
+
+  return relative !== '' && relative !== '..' && ! relative.startsWith( '..' + path.sep ) && ! path.isAbsolute( relative );
+}
+
+/**
+ * Write a file by writing a temp file in the same directory and renaming it.
+ *
+ * Readers never see a partially written file since `rename()` replaces the destination in one step.
  *
  * @param {string} filename
+ * @param {string|Buffer} content
  */
-function unlockSync( filename )
+async function writeFileAtomic( filename, content )
 {
-  return lockfile.unlockSync( getLockFilename( filename ) );
+  const { dir, base } = path.parse( filename );
+  const tmpFilename = path.join( dir, `.${base}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp` );
+
+  try {
+    await fs.promises.writeFile( tmpFilename, content );
+    await fs.promises.rename( tmpFilename, filename );
+  } catch (err) {
+    await fs.promises.unlink( tmpFilename ).catch( () => {} );
+
+    throw err;
+  }
 }
 
 module.exports = {
@@ -258,9 +436,14 @@ module.exports = {
   templateStringToRegExp,
   findMapKeysByValue,
   group,
-  getLockFilename,
-  lock,
-  lockSync,
-  unlock,
-  unlockSync,
+  createMatcher,
+  getContentHash,
+  getRelatedAssets,
+  getManifestDiff,
+  hasChanges,
+  getGlobBase,
+  findFiles,
+  getAssetPath,
+  isInDirectory,
+  writeFileAtomic,
 };
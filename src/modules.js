@@ -0,0 +1,125 @@
+'use strict';
+
+const { isObject } = require('./helpers.js');
+
+const banner = '// This file was generated by webpack-assets-manifest. Do not edit.';
+
+/**
+ * Get the TypeScript type that describes the shape of a value.
+ *
+ * @param  {*} value
+ * @param  {string} padding
+ * @return {string}
+ */
+function getTypeScriptType( value, padding = '' )
+{
+  if ( Array.isArray( value ) ) {
+    const types = [ ...new Set( value.map( item => getTypeScriptType( item, padding ) ) ) ];
+
+    if ( ! types.length ) {
+      return 'never[]';
+    }
+
+    return types.length === 1 && /^\w+$/.test( types[ 0 ] ) ? `${types[ 0 ]}[]` : `Array<${types.join(' | ')}>`;
+  }
+
+  if ( isObject( value ) ) {
+    const properties = Object.entries( value ).map(
+      ([ key, item ]) => `${padding}  ${JSON.stringify( key )}: ${getTypeScriptType( item, padding + '  ' )};`,
+    );
+
+    return properties.length ? `{\n${properties.join('\n')}\n${padding}}` : 'Record<string, never>';
+  }
+
+  if ( value === null ) {
+    return 'null';
+  }
+
+  return [ 'string', 'number', 'boolean' ].includes( typeof value ) ? typeof value : 'unknown';
+}
+
+/**
+ * Get a literal union of the keys.
+ *
+ * @param  {*} data
+ * @return {string}
+ */
+function getKeyType( data )
+{
+  const keys = isObject( data ) ? Object.keys( data ) : [];
+
+  return keys.length ? keys.map( key => JSON.stringify( key ) ).join(' | ') : 'never';
+}
+
+/**
+ * Get JavaScript module source for the manifest data.
+ *
+ * The data is stringified the same way as the JSON manifest.
+ *
+ * @param  {*} data
+ * @param  {string} type - `esm` or `cjs`
+ * @param  {object} [options]
+ * @param  {*} [options.replacer] - A `JSON.stringify()` replacer
+ * @param  {number|string} [options.space]
+ * @return {string}
+ */
+function toModule( data, type, { replacer = null, space = 2 } = {} )
+{
+  const json = JSON.stringify( data, replacer, space ) || '{}';
+
+  if ( type === 'cjs' ) {
+    return `${banner}\n\nmodule.exports = ${json};\n`;
+  }
+
+  return `${banner}\n\nconst manifest = ${json};\n\nexport default manifest;\n`;
+}
+
+/**
+ * Get TypeScript declarations for the module created by `toModule()`.
+ *
+ * @param  {*} data
+ * @param  {string} type - `esm` or `cjs`
+ * @param  {object} [options]
+ * @param  {*} [options.replacer] - A `JSON.stringify()` replacer, so the types match the module
+ * @return {string}
+ */
+function toDeclaration( data, type, { replacer = null } = {} )
+{
+  data = JSON.parse( JSON.stringify( data, replacer ) || '{}' );
+
+  const keyType = getKeyType( data );
+  const manifestType = getTypeScriptType( data );
+
+  if ( type === 'cjs' ) {
+    return [
+      banner,
+      '',
+      `declare const manifest: ${manifestType};`,
+      '',
+      'declare namespace manifest {',
+      `  export type AssetsManifestKey = ${keyType};`,
+      '}',
+      '',
+      'export = manifest;',
+      '',
+    ].join('\n');
+  }
+
+  return [
+    banner,
+    '',
+    `export type AssetsManifestKey = ${keyType};`,
+    '',
+    `declare const manifest: ${manifestType};`,
+    '',
+    'export default manifest;',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  getTypeScriptType,
+  getKeyType,
+  toModule,
+  toDeclaration,
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Get the source file of a module relative to the compiler context.
+ *
+ * @param  {object} compilation
+ * @param  {object} module
+ * @return {string|undefined}
+ */
+function getModuleSource( compilation, module )
+{
+  return module && module.resource ?
+    path.relative( compilation.compiler.context, module.resource.split('?')[ 0 ] ).replace( /\\/g, '/' ) :
+    undefined;
+}
+
+/**
+ * Find the module that a chunk was created for.
+ *
+ * @param  {object} compilation
+ * @param  {object} chunk
+ * @return {object|undefined}
+ */
+function getChunkModule( compilation, chunk )
+{
+  const { chunkGraph } = compilation;
+
+  return [
+    ...chunkGraph.getChunkEntryModulesIterable( chunk ),
+    ...chunkGraph.getChunkRootModules( chunk ),
+  ].find( module => module.resource );
+}
+
+/**
+ * Get the async blocks of a module, including the blocks that are nested in other blocks.
+ *
+ * @param  {object} block - A module or a block
+ * @return {object[]}
+ */
+function getBlocks( block )
+{
+  return block.blocks.reduce( (blocks, child) => blocks.concat( child, getBlocks( child ) ), [] );
+}
+
+/**
+ * Create a manifest that has the same shape as a {@link https://vitejs.dev/guide/backend-integration.html Vite manifest}.
+ *
+ * @param  {object} compilation
+ * @param  {object} manifest - WebpackAssetsManifest instance
+ * @return {object}
+ */
+function vite( compilation, manifest )
+{
+  const { chunkGraph, moduleGraph } = compilation;
+  const isScript = file => /\.m?js$/i.test( file ) && ! manifest.isHMR( file );
+  const isStyle = file => /\.css$/i.test( file );
+
+  const chunkKeys = new Map();
+  const entries = Object.create(null);
+
+  for ( const chunk of compilation.chunks ) {
+    const file = [ ...chunk.files ].find( isScript );
+
+    if ( ! file ) {
+      continue;
+    }
+
+    const src = getModuleSource( compilation, getChunkModule( compilation, chunk ) );
+    const key = src || `_${path.basename( file )}`;
+
+    chunkKeys.set( chunk, key );
+
+    entries[ key ] = Object.assign(
+      { file },
+      src ? { src } : {},
+      chunkGraph.getNumberOfEntryModules( chunk ) ? { isEntry: true } : {},
+    );
+  }
+
+  const getImports = ( chunks, chunk ) => chunks
+    .filter( other => other !== chunk && chunkKeys.has( other ) )
+    .map( other => chunkKeys.get( other ) );
+
+  for ( const entrypoint of compilation.entrypoints.values() ) {
+    const chunk = entrypoint.getEntrypointChunk();
+
+    if ( chunkKeys.has( chunk ) ) {
+      entries[ chunkKeys.get( chunk ) ].imports = getImports( entrypoint.chunks, chunk );
+    }
+  }
+
+  for ( const [ chunk, key ] of chunkKeys ) {
+    const entry = entries[ key ];
+    const dynamicImports = new Set();
+
+    for ( const module of chunkGraph.getChunkModulesIterable( chunk ) ) {
+      for ( const block of getBlocks( module ) ) {
+        const group = chunkGraph.getBlockChunkGroup( block );
+        const [ dependency ] = block.dependencies;
+        const target = dependency && moduleGraph.getModule( dependency );
+
+        if ( ! group || ! target ) {
+          continue;
+        }
+
+        const targetChunk = group.chunks.find( other => chunkGraph.isModuleInChunk( target, other ) );
+
+        if ( targetChunk && chunkKeys.has( targetChunk ) ) {
+          const targetEntry = entries[ chunkKeys.get( targetChunk ) ];
+
+          targetEntry.isDynamicEntry = ! targetEntry.isEntry;
+          targetEntry.imports = getImports( group.chunks, targetChunk );
+
+          dynamicImports.add( chunkKeys.get( targetChunk ) );
+        }
+      }
+    }
+
+    if ( dynamicImports.size ) {
+      entry.dynamicImports = [ ...dynamicImports ];
+    }
+
+    const css = [ ...chunk.files ].filter( isStyle );
+    // Source maps are auxiliary files too, but they aren't in a Vite manifest.
+    const assets = [ ...chunk.auxiliaryFiles ].filter( file => ! /\.map$/i.test( file ) );
+
+    if ( css.length ) {
+      entry.css = css;
+    }
+
+    if ( assets.length ) {
+      entry.assets = assets;
+    }
+  }
+
+  // Static assets are keyed by their source file.
+  for ( const asset of compilation.getAssets() ) {
+    const src = manifest.fixKey( asset.info.sourceFilename );
+
+    if ( src && ! asset.info.assetsManifest && ! entries[ src ] ) {
+      entries[ src ] = {
+        file: asset.name,
+        src,
+      };
+    }
+  }
+
+  for ( const entry of Object.values( entries ) ) {
+    if ( entry.imports && ! entry.imports.length ) {
+      delete entry.imports;
+    }
+  }
+
+  return entries;
+}
+
+module.exports = {
+  vite,
+};
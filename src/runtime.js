@@ -0,0 +1,351 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { isObject } = require('./helpers.js');
+const { getFormatByFilename, parseManifest } = require('./serializers.js');
+const { getEntrypointTags, toHTML } = require('./tags.js');
+
+/**
+ * Get the URL from a single manifest value.
+ *
+ * @param  {*} value
+ * @return {string|undefined}
+ */
+function getItemSource( value )
+{
+  if ( typeof value === 'string' ) {
+    return value;
+  }
+
+  if ( isObject( value ) ) {
+    return value.file || value.src;
+  }
+
+  return undefined;
+}
+
+/**
+ * Get the URL from a manifest value.
+ *
+ * Values can be a string or an object that has `src`. Vite shaped entries use `file`.
+ * The `array` collision policy stores an array of values, so an array of URLs is returned for arrays.
+ *
+ * @param  {*} value
+ * @return {string|string[]|undefined}
+ */
+function getSource( value )
+{
+  return Array.isArray( value ) ? value.map( getItemSource ) : getItemSource( value );
+}
+
+/**
+ * Get the URLs of an entrypoint.
+ *
+ * @param  {object} value - Entrypoint data
+ * @return {object} `{ assets, preload?, prefetch? }` with the URLs for each file extension
+ */
+function getEntrypointFiles( value )
+{
+  const files = Object.create(null);
+
+  for ( const [ property, groups ] of Object.entries( value ) ) {
+    files[ property ] = Object.create(null);
+
+    for ( const [ ext, items ] of Object.entries( groups ) ) {
+      files[ property ][ ext ] = items.map( getSource );
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read a manifest file. A `pointer` file is followed to the manifest it names.
+ *
+ * @param  {string} file
+ * @param  {string} [format] - The file extension is used by default
+ * @return {object}
+ */
+function readManifestFile( file, format = getFormatByFilename( file ) || 'json' )
+{
+  const data = parseManifest( fs.readFileSync( file, { encoding: 'utf8' } ), format );
+
+  if ( isObject( data ) && Object.keys( data ).length === 1 && typeof data.current === 'string' ) {
+    return readManifestFile( path.resolve( path.dirname( file ), data.current ) );
+  }
+
+  return data;
+}
+
+/**
+ * Create functions that read from a manifest file.
+ *
+ * @param  {object} options
+ * @param  {string} [options.filename] - Path to the manifest
+ * @param  {string} [options.format] - The manifest format. The file extension is used by default.
+ * @param  {string|false} [options.entrypointsKey] - The `entrypointsKey` plugin option
+ * @param  {string} [options.integrityPropertyName] - The `integrityPropertyName` plugin option
+ * @param  {boolean|string} [options.crossorigin] - Added to the tags
+ * @param  {boolean} [options.module] - Use `<script type="module">` tags
+ * @param  {boolean} [options.reload] - Read the manifest again when the file has been modified
+ * @return {object}
+ */
+function createRuntime( options = {} )
+{
+  const {
+    filename = 'assets-manifest.json',
+    entrypointsKey = 'entrypoints',
+    integrityPropertyName = 'integrity',
+    crossorigin,
+    module = false,
+    reload = false,
+  } = options;
+
+  const file = path.resolve( filename );
+  const format = options.format || getFormatByFilename( file ) || 'json';
+
+  // `filename` can be a `pointer` file. With `reload`, the manifest is read again when the pointer file changes.
+
+  let data = null;
+  let modified = 0;
+
+  /**
+   * Read the manifest file.
+   *
+   * @return {object}
+   */
+  function load()
+  {
+    modified = fs.statSync( file ).mtimeMs;
+    data = readManifestFile( file, format );
+
+    return data;
+  }
+
+  /**
+   * Get the manifest data. The file is only read again if `reload` is enabled and the file has been modified.
+   *
+   * @return {object}
+   */
+  function getData()
+  {
+    if ( ! data || ( reload && fs.statSync( file ).mtimeMs !== modified ) ) {
+      load();
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the URL of an asset.
+   *
+   * @param  {string} key
+   * @return {string|string[]|undefined} An array is returned for values of the `array` collision policy.
+   */
+  function asset( key )
+  {
+    return getSource( getData()[ key ] );
+  }
+
+  /**
+   * Get the integrity of an asset.
+   *
+   * @param  {string} key
+   * @return {string|string[]|undefined} An array is returned for values of the `array` collision policy.
+   */
+  function integrity( key )
+  {
+    const getIntegrity = value => isObject( value ) ? value[ integrityPropertyName ] : undefined;
+    const value = getData()[ key ];
+
+    return Array.isArray( value ) ? value.map( getIntegrity ) : getIntegrity( value );
+  }
+
+  /**
+   * Get the raw entrypoint data.
+   *
+   * @param  {string} name
+   * @return {object|undefined}
+   */
+  function getEntrypoint( name )
+  {
+    const manifest = getData();
+    const entrypoints = entrypointsKey === false ? manifest : manifest[ entrypointsKey ];
+    const value = isObject( entrypoints ) ? entrypoints[ name ] : undefined;
+
+    return isObject( value ) && isObject( value.assets ) ? value : undefined;
+  }
+
+  /**
+   * Get the URLs of an entrypoint.
+   *
+   * @param  {string} name
+   * @param  {string} [type] - File extension, like `js` or `css`
+   * @return {object|string[]|undefined} `{ assets, preload?, prefetch? }` or the `assets` URLs of `type`.
+   */
+  function entrypoint( name, type )
+  {
+    const value = getEntrypoint( name );
+
+    if ( ! value ) {
+      return type ? [] : undefined;
+    }
+
+    const files = getEntrypointFiles( value );
+
+    return type ? files.assets[ type ] || [] : files;
+  }
+
+  /**
+   * Get the integrity for each URL.
+   *
+   * @param  {object} value - Entrypoint data
+   * @return {Map<string, string>}
+   */
+  function getIntegrities( value )
+  {
+    const integrities = new Map();
+
+    const add = item => {
+      if ( isObject( item ) && item[ integrityPropertyName ] ) {
+        integrities.set( getSource( item ), item[ integrityPropertyName ] );
+      }
+    };
+
+    Object.values( getData() ).forEach( add );
+
+    // `entrypointsUseAssets` puts the asset objects in the entrypoint.
+    for ( const groups of Object.values( value ) ) {
+      Object.values( groups ).forEach( items => items.forEach( add ) );
+    }
+
+    return integrities;
+  }
+
+  /**
+   * Get the HTML tags for an entrypoint.
+   *
+   * @param  {string} name
+   * @return {string} An empty string is returned if the entrypoint does not exist.
+   */
+  function tags( name )
+  {
+    const value = getEntrypoint( name );
+
+    if ( ! value ) {
+      return '';
+    }
+
+    const integrities = getIntegrities( value );
+    const files = Object.create(null);
+
+    for ( const [ property, groups ] of Object.entries( entrypoint( name ) ) ) {
+      files[ property ] = [].concat( ...Object.values( groups ) );
+    }
+
+    const entrypointTags = getEntrypointTags(
+      { [ name ]: files },
+      href => ({
+        href,
+        integrity: integrities.get( href ),
+        crossorigin,
+        module,
+      }),
+    );
+
+    return toHTML( entrypointTags[ name ] );
+  }
+
+  return {
+    load,
+    asset,
+    integrity,
+    entrypoint,
+    tags,
+  };
+}
+
+// The runtime that is used by the functions that are exported directly, see `configure()`.
+let defaultRuntime = null;
+
+/**
+ * Set the options of the runtime that is used by `asset()`, `integrity()`, `entrypoint()`, and `tags()`.
+ *
+ * @param  {object} [options] - `createRuntime()` options
+ * @return {object} The runtime
+ */
+function configure( options = {} )
+{
+  defaultRuntime = createRuntime( options );
+
+  return defaultRuntime;
+}
+
+/**
+ * Get the runtime that is used by the functions that are exported directly.
+ *
+ * @return {object}
+ */
+function getDefaultRuntime()
+{
+  return defaultRuntime || configure();
+}
+
+/**
+ * Get the URL of an asset from the default manifest.
+ *
+ * @param  {string} key
+ * @return {string|string[]|undefined}
+ */
+function asset( key )
+{
+  return getDefaultRuntime().asset( key );
+}
+
+/**
+ * Get the integrity of an asset from the default manifest.
+ *
+ * @param  {string} key
+ * @return {string|string[]|undefined}
+ */
+function integrity( key )
+{
+  return getDefaultRuntime().integrity( key );
+}
+
+/**
+ * Get the URLs of an entrypoint from the default manifest.
+ *
+ * @param  {string} name
+ * @param  {string} [type] - File extension, like `js` or `css`
+ * @return {object|string[]|undefined}
+ */
+function entrypoint( name, type )
+{
+  return getDefaultRuntime().entrypoint( name, type );
+}
+
+/**
+ * Get the HTML tags for an entrypoint from the default manifest.
+ *
+ * @param  {string} name
+ * @return {string}
+ */
+function tags( name )
+{
+  return getDefaultRuntime().tags( name );
+}
+
+module.exports = {
+  getSource,
+  getEntrypointFiles,
+  createRuntime,
+  readManifestFile,
+  configure,
+  asset,
+  integrity,
+  entrypoint,
+  tags,
+};
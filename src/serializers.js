@@ -0,0 +1,658 @@
+'use strict';
+
+const path = require('path');
+
+const { isObject, maybeArrayWrap } = require('./helpers.js');
+
+/**
+ * Get plain data that only contains JSON compatible values.
+ *
+ * The `replacer` option is applied here so that it works with every format.
+ *
+ * @param  {*} data
+ * @param  {object} manifest
+ * @return {*}
+ */
+function normalize( data, manifest )
+{
+  const json = JSON.stringify( data, manifest.options.replacer );
+
+  return json === undefined ? {} : JSON.parse( json );
+}
+
+/**
+ * Quote a string.
+ *
+ * JSON escape sequences are valid in YAML double quoted scalars and TOML basic strings.
+ *
+ * @param  {string} str
+ * @return {string}
+ */
+function quote( str )
+{
+  return JSON.stringify( str ).replace( /\x7f/g, '\\u007f' );
+}
+
+/**
+ * @param  {string} key
+ * @return {string}
+ */
+function yamlKey( key )
+{
+  const isPlain = /^[a-z_][\w./-]*$/i.test( key ) &&
+    ! /^(?:true|false|yes|no|on|off|null|y|n)$/i.test( key );
+
+  return isPlain ? key : quote( key );
+}
+
+/**
+ * @param  {*} value
+ * @return {string}
+ */
+function yamlScalar( value )
+{
+  return typeof value === 'string' ? quote( value ) : String( value );
+}
+
+/**
+ * @param  {*} value
+ * @return {string}
+ */
+function yamlValue( value )
+{
+  if ( Array.isArray( value ) ) {
+    return '[]';
+  }
+
+  if ( isObject( value ) ) {
+    return '{}';
+  }
+
+  return yamlScalar( value );
+}
+
+/**
+ * @param  {*} value
+ * @param  {string} indent
+ * @param  {string} padding
+ * @return {string[]}
+ */
+function yamlLines( value, indent, padding = '' )
+{
+  if ( Array.isArray( value ) ) {
+    return value.reduce( (lines, item) => {
+      if ( ( isObject( item ) || Array.isArray( item ) ) && Object.keys( item ).length ) {
+        // Nested lines need to line up with the first line, which follows `- `.
+        const [ first, ...rest ] = yamlLines( item, indent, padding + '  ' );
+
+        lines.push( `${padding}- ${first.substring( padding.length + 2 )}`, ...rest );
+      } else {
+        lines.push( `${padding}- ${yamlValue( item )}` );
+      }
+
+      return lines;
+    }, []);
+  }
+
+  return Object.entries( value ).reduce( (lines, [ key, item ]) => {
+    if ( ( isObject( item ) || Array.isArray( item ) ) && Object.keys( item ).length ) {
+      lines.push( `${padding}${yamlKey( key )}:`, ...yamlLines( item, indent, padding + indent ) );
+    } else {
+      lines.push( `${padding}${yamlKey( key )}: ${yamlValue( item )}` );
+    }
+
+    return lines;
+  }, []);
+}
+
+/**
+ * Read a double quoted string at the start of `str`.
+ *
+ * @param  {string} str
+ * @return {{value: string, rest: string}}
+ */
+function readQuoted( str )
+{
+  let end = 1;
+
+  while ( end < str.length && str[ end ] !== '"' ) {
+    end += str[ end ] === '\\' ? 2 : 1;
+  }
+
+  if ( end >= str.length ) {
+    throw new SyntaxError(`Unterminated string: ${str}`);
+  }
+
+  return {
+    value: JSON.parse( str.substring( 0, end + 1 ) ),
+    rest: str.substring( end + 1 ),
+  };
+}
+
+/**
+ * Parse a plain or quoted scalar.
+ *
+ * @param  {string} str
+ * @return {*}
+ */
+function parseScalar( str )
+{
+  if ( str === '[]' ) {
+    return [];
+  }
+
+  if ( str === '{}' ) {
+    return {};
+  }
+
+  if ( str.startsWith('"') ) {
+    return readQuoted( str ).value;
+  }
+
+  if ( /^(?:null|~)$/.test( str ) ) {
+    return null;
+  }
+
+  if ( str === 'true' || str === 'false' ) {
+    return str === 'true';
+  }
+
+  if ( /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i.test( str ) ) {
+    return Number( str );
+  }
+
+  return str;
+}
+
+/**
+ * Split YAML into lines. `- ` is split into its own token so that the item is parsed like a line that is indented by two more spaces.
+ *
+ * @param  {string} str
+ * @return {Array<{indent: number, text: string, dash: boolean}>}
+ */
+function yamlTokens( str )
+{
+  const tokens = [];
+
+  for ( const line of str.split( /\r?\n/ ) ) {
+    if ( ! line.trim() || line.trim().startsWith('#') ) {
+      continue;
+    }
+
+    let indent = line.length - line.trimStart().length;
+    let text = line.trim();
+
+    while ( text === '-' || text.startsWith('- ') ) {
+      tokens.push({ indent, text: '-', dash: true });
+
+      indent += 2;
+      text = text.substring(1).trim();
+
+      if ( ! text ) {
+        break;
+      }
+    }
+
+    if ( text ) {
+      tokens.push({ indent, text, dash: false });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a YAML mapping line into the key and the value.
+ *
+ * @param  {string} text
+ * @return {{key: string, value: string}|null} null is returned if the line is not a mapping.
+ */
+function yamlPair( text )
+{
+  if ( text.startsWith('"') ) {
+    const { value, rest } = readQuoted( text );
+
+    return rest.startsWith(':') ? { key: value, value: rest.substring(1).trim() } : null;
+  }
+
+  const match = text.match( /^([^\s:"][^:]*?):(?:\s+(.*))?$/ );
+
+  return match ? { key: match[ 1 ], value: ( match[ 2 ] || '' ).trim() } : null;
+}
+
+/**
+ * Parse the YAML that `yaml.serialize()` creates: block mappings, block sequences, and scalars.
+ *
+ * @param  {string} str
+ * @return {*}
+ */
+function parseYaml( str )
+{
+  const tokens = yamlTokens( str );
+  let pos = 0;
+
+  const parseNode = () => {
+    const token = tokens[ pos ];
+
+    if ( token.dash ) {
+      const list = [];
+
+      while ( pos < tokens.length && tokens[ pos ].dash && tokens[ pos ].indent === token.indent ) {
+        pos++;
+
+        list.push( pos < tokens.length && tokens[ pos ].indent > token.indent ? parseNode() : null );
+      }
+
+      return list;
+    }
+
+    if ( ! yamlPair( token.text ) ) {
+      pos++;
+
+      return parseScalar( token.text );
+    }
+
+    const map = {};
+
+    while ( pos < tokens.length && ! tokens[ pos ].dash && tokens[ pos ].indent === token.indent ) {
+      const pair = yamlPair( tokens[ pos ].text );
+
+      if ( ! pair ) {
+        throw new SyntaxError(`Unexpected YAML: ${tokens[ pos ].text}`);
+      }
+
+      pos++;
+
+      if ( pair.value ) {
+        map[ pair.key ] = parseScalar( pair.value );
+      } else {
+        map[ pair.key ] = pos < tokens.length && tokens[ pos ].indent > token.indent ? parseNode() : null;
+      }
+    }
+
+    return map;
+  };
+
+  if ( ! tokens.length ) {
+    return null;
+  }
+
+  const value = parseNode();
+
+  if ( pos < tokens.length ) {
+    throw new SyntaxError(`Unexpected YAML: ${tokens[ pos ].text}`);
+  }
+
+  return value;
+}
+
+/**
+ * @param  {string} key
+ * @return {string}
+ */
+function tomlKey( key )
+{
+  return /^[\w-]+$/.test( key ) ? key : quote( key );
+}
+
+/**
+ * TOML does not have `null` so those values are skipped.
+ *
+ * @param  {*} value
+ * @return {string}
+ */
+function tomlValue( value )
+{
+  if ( Array.isArray( value ) ) {
+    const items = value.filter( item => item !== null ).map( tomlValue );
+
+    return items.length ? `[ ${items.join(', ')} ]` : '[]';
+  }
+
+  if ( isObject( value ) ) {
+    const pairs = Object.entries( value )
+      .filter( ([ , item ]) => item !== null )
+      .map( ([ key, item ]) => `${tomlKey( key )} = ${tomlValue( item )}` );
+
+    return pairs.length ? `{ ${pairs.join(', ')} }` : '{}';
+  }
+
+  return typeof value === 'string' ? quote( value ) : String( value );
+}
+
+/**
+ * @param  {object} table
+ * @param  {string[]} path
+ * @return {string[]}
+ */
+function tomlLines( table, path = [] )
+{
+  const lines = [];
+  const tables = [];
+
+  for ( const [ key, value ] of Object.entries( table ) ) {
+    if ( isObject( value ) ) {
+      tables.push( [ key, value ] );
+    } else if ( value !== null ) {
+      lines.push( `${tomlKey( key )} = ${tomlValue( value )}` );
+    }
+  }
+
+  for ( const [ key, value ] of tables ) {
+    const tablePath = [ ...path, key ];
+
+    if ( lines.length || path.length ) {
+      lines.push('');
+    }
+
+    lines.push( `[${tablePath.map( tomlKey ).join('.')}]`, ...tomlLines( value, tablePath ) );
+  }
+
+  return lines;
+}
+
+/**
+ * Read a dotted key like `a."b.c"`.
+ *
+ * @param  {string} str
+ * @return {{keys: string[], rest: string}}
+ */
+function readTomlKeys( str )
+{
+  const keys = [];
+
+  for (;;) {
+    str = str.trimStart();
+
+    if ( str.startsWith('"') ) {
+      const { value, rest } = readQuoted( str );
+
+      keys.push( value );
+      str = rest;
+    } else {
+      const [ key ] = str.match( /^[\w-]+/ ) || [ '' ];
+
+      if ( ! key ) {
+        throw new SyntaxError(`Unexpected TOML: ${str}`);
+      }
+
+      keys.push( key );
+      str = str.substring( key.length );
+    }
+
+    str = str.trimStart();
+
+    if ( ! str.startsWith('.') ) {
+      return { keys, rest: str };
+    }
+
+    str = str.substring(1);
+  }
+}
+
+/**
+ * Set a nested value, creating objects as needed.
+ *
+ * @param  {object} obj
+ * @param  {string[]} keys
+ * @param  {*} value
+ * @return {object} The object that has the last key
+ */
+function setPath( obj, keys, value )
+{
+  const parent = keys.slice( 0, -1 ).reduce( (target, key) => {
+    if ( ! isObject( target[ key ] ) ) {
+      target[ key ] = {};
+    }
+
+    return target[ key ];
+  }, obj );
+
+  parent[ keys[ keys.length - 1 ] ] = value;
+
+  return parent;
+}
+
+/**
+ * Parse a TOML value: strings, numbers, booleans, arrays, and inline tables.
+ *
+ * @param  {string} str
+ * @return {{value: *, rest: string}}
+ */
+function readTomlValue( str )
+{
+  str = str.trimStart();
+
+  if ( str.startsWith('"') ) {
+    return readQuoted( str );
+  }
+
+  if ( str.startsWith('[') || str.startsWith('{') ) {
+    const isArray = str.startsWith('[');
+    const value = isArray ? [] : {};
+
+    str = str.substring(1).trimStart();
+
+    while ( ! str.startsWith( isArray ? ']' : '}' ) ) {
+      if ( isArray ) {
+        const item = readTomlValue( str );
+
+        value.push( item.value );
+        str = item.rest.trimStart();
+      } else {
+        const key = readTomlKeys( str );
+        const item = readTomlValue( key.rest.replace( /^\s*=/, '' ) );
+
+        setPath( value, key.keys, item.value );
+        str = item.rest.trimStart();
+      }
+
+      if ( str.startsWith(',') ) {
+        str = str.substring(1).trimStart();
+      } else if ( ! str.startsWith( isArray ? ']' : '}' ) ) {
+        throw new SyntaxError(`Unexpected TOML: ${str}`);
+      }
+    }
+
+    return { value, rest: str.substring(1) };
+  }
+
+  const [ token ] = str.match( /^[^\s,\]}]+/ ) || [ '' ];
+
+  if ( ! token ) {
+    throw new SyntaxError(`Unexpected TOML: ${str}`);
+  }
+
+  return { value: parseScalar( token ), rest: str.substring( token.length ) };
+}
+
+/**
+ * Parse the TOML that `toml.serialize()` creates.
+ *
+ * @param  {string} str
+ * @return {object}
+ */
+function parseToml( str )
+{
+  const root = {};
+  let table = root;
+
+  for ( const line of str.split( /\r?\n/ ) ) {
+    const text = line.trim();
+
+    if ( ! text || text.startsWith('#') ) {
+      continue;
+    }
+
+    if ( text.startsWith('[') ) {
+      const { keys } = readTomlKeys( text.substring( 1, text.lastIndexOf(']') ) );
+
+      table = keys.reduce( (target, key) => {
+        if ( ! isObject( target[ key ] ) ) {
+          target[ key ] = {};
+        }
+
+        return target[ key ];
+      }, root );
+
+      continue;
+    }
+
+    const { keys, rest } = readTomlKeys( text );
+
+    if ( ! rest.startsWith('=') ) {
+      throw new SyntaxError(`Unexpected TOML: ${text}`);
+    }
+
+    setPath( table, keys, readTomlValue( rest.substring(1) ).value );
+  }
+
+  return root;
+}
+
+/**
+ * The default JSON format.
+ */
+const json = {
+  extensions: [ '.json' ],
+  serialize(data, manifest) {
+    const { replacer, space } = manifest.options;
+
+    return JSON.stringify( data, replacer, space ) || '{}';
+  },
+  parse(str) {
+    return JSON.parse( str );
+  },
+};
+
+/**
+ * YAML block style. Strings are always quoted.
+ */
+const yaml = {
+  extensions: [ '.yaml', '.yml' ],
+  serialize(data, manifest) {
+    const value = normalize( data, manifest );
+    const indent = ' '.repeat( manifest.options.space || 2 );
+
+    if ( ( isObject( value ) || Array.isArray( value ) ) && Object.keys( value ).length ) {
+      return yamlLines( value, indent ).join('\n') + '\n';
+    }
+
+    return yamlValue( value ) + '\n';
+  },
+  parse(str) {
+    const value = parseYaml( str );
+
+    return value === null ? {} : value;
+  },
+};
+
+/**
+ * TOML. Nested objects become tables and objects in arrays become inline tables.
+ */
+const toml = {
+  extensions: [ '.toml' ],
+  serialize(data, manifest) {
+    const value = normalize( data, manifest );
+    const lines = isObject( value ) ? tomlLines( value ) : [];
+
+    return lines.length ? lines.join('\n') + '\n' : '';
+  },
+  parse(str) {
+    return parseToml( str );
+  },
+};
+
+/**
+ * Newline delimited JSON. Each top level entry is written as `{"key":...,"value":...}`.
+ */
+const ndjson = {
+  extensions: [ '.ndjson', '.jsonl' ],
+  serialize(data, manifest) {
+    const value = normalize( data, manifest );
+
+    return Object.entries( value ).map(
+      ([ key, value ]) => JSON.stringify({ key, value }) + '\n',
+    ).join('');
+  },
+  parse(str) {
+    return str.split( /\r?\n/ ).filter( line => line.trim() ).reduce( (data, line) => {
+      const { key, value } = JSON.parse( line );
+
+      data[ key ] = value;
+
+      return data;
+    }, {});
+  },
+};
+
+/**
+ * Get a new Map of the built in serializers.
+ *
+ * `parse()` is optional for custom serializers. Manifests without it can't be read by `merge`, `diff`, `backup`, or `mergeFrom`.
+ *
+ * @return {Map<string, {extensions: string[], serialize: (data: any, manifest: object) => string, parse?: (str: string, manifest?: object) => any}>}
+ */
+function getDefaultSerializers()
+{
+  return new Map([
+    [ 'json', json ],
+    [ 'yaml', yaml ],
+    [ 'toml', toml ],
+    [ 'ndjson', ndjson ],
+  ]);
+}
+
+/**
+ * Get the name of the serializer that handles the extension of a file.
+ *
+ * @param  {string} filename
+ * @param  {Map<string, object>} [serializers]
+ * @return {string|undefined}
+ */
+function getFormatByFilename( filename, serializers = getDefaultSerializers() )
+{
+  const ext = path.extname( filename ).toLowerCase();
+
+  for ( const [ name, serializer ] of serializers ) {
+    if ( maybeArrayWrap( serializer.extensions ).includes( ext ) ) {
+      return name;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Parse the content of a manifest file.
+ *
+ * @param  {string} content
+ * @param  {string} format
+ * @param  {Map<string, object>} [serializers]
+ * @param  {object} [manifest]
+ * @return {*}
+ */
+function parseManifest( content, format, serializers = getDefaultSerializers(), manifest = undefined )
+{
+  const serializer = serializers.get( format );
+
+  if ( ! serializer ) {
+    throw new Error(`Unknown manifest format: ${format}`);
+  }
+
+  if ( typeof serializer.parse !== 'function' ) {
+    throw new Error(`The ${format} format can't be read since its serializer doesn't have parse()`);
+  }
+
+  return serializer.parse( content, manifest );
+}
+
+module.exports = {
+  json,
+  yaml,
+  toml,
+  ndjson,
+  getDefaultSerializers,
+  getFormatByFilename,
+  parseManifest,
+};
@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * File extension: `as` attribute value
+ *
+ * See {@link https://developer.mozilla.org/en-US/docs/Web/HTML/Attributes/rel/preload#what_types_of_content_can_be_preloaded|preload}
+ */
+const preloadTypes = {
+  js: 'script',
+  mjs: 'script',
+  cjs: 'script',
+  css: 'style',
+  woff: 'font',
+  woff2: 'font',
+  ttf: 'font',
+  otf: 'font',
+  eot: 'font',
+  apng: 'image',
+  avif: 'image',
+  gif: 'image',
+  ico: 'image',
+  jpeg: 'image',
+  jpg: 'image',
+  png: 'image',
+  svg: 'image',
+  webp: 'image',
+  mp3: 'audio',
+  ogg: 'audio',
+  wav: 'audio',
+  mp4: 'video',
+  webm: 'video',
+  vtt: 'track',
+  json: 'fetch',
+  wasm: 'fetch',
+};
+
+/**
+ * Get the lowercase file extension without the dot.
+ *
+ * @param  {string} filename
+ * @return {string}
+ */
+function getFileType( filename )
+{
+  const [ file ] = String( filename ).split(/[?#]/);
+  const match = file.match(/\.([^./]+)$/);
+
+  return match ? match[ 1 ].toLowerCase() : '';
+}
+
+/**
+ * Get the `as` value to use when preloading a file.
+ *
+ * @param  {string} filename
+ * @return {string}
+ */
+function getPreloadAs( filename )
+{
+  return preloadTypes[ getFileType( filename ) ] || 'fetch';
+}
+
+/**
+ * @param  {string} value
+ * @return {string}
+ */
+function escapeAttribute( value )
+{
+  return String( value )
+    .replace( /&/g, '&amp;' )
+    .replace( /"/g, '&quot;' )
+    .replace( /</g, '&lt;' )
+    .replace( />/g, '&gt;' );
+}
+
+/**
+ * Convert an object to HTML attributes. `true` creates a boolean attribute and empty values are skipped.
+ *
+ * @param  {object} attributes
+ * @return {string}
+ */
+function toAttributes( attributes )
+{
+  return Object.entries( attributes )
+    .filter( ([ , value ]) => value !== undefined && value !== null && value !== false && value !== '' )
+    .map( ([ name, value ]) => value === true ? ` ${name}` : ` ${name}="${escapeAttribute( value )}"` )
+    .join('');
+}
+
+/**
+ * Render a tag for a file.
+ *
+ * @param  {string} property - `assets`, `preload`, or `prefetch`
+ * @param  {object} file
+ * @param  {string} file.href
+ * @param  {string} [file.integrity]
+ * @param  {string|boolean} [file.crossorigin]
+ * @param  {boolean} [file.module] - Is the file an ES module?
+ * @return {string} An empty string is returned when the file does not need a tag.
+ */
+function renderTag( property, { href, integrity, crossorigin, module } )
+{
+  const as = getPreloadAs( href );
+
+  // Fonts are always fetched in CORS mode so preloading them needs a crossorigin attribute.
+  if ( ! crossorigin && ( integrity || ( as === 'font' && property !== 'assets' ) ) ) {
+    crossorigin = 'anonymous';
+  }
+
+  const security = {
+    integrity,
+    crossorigin: crossorigin === true ? 'anonymous' : crossorigin,
+  };
+
+  if ( property === 'assets' ) {
+    if ( as === 'script' ) {
+      return `<script${toAttributes({ type: module ? 'module' : undefined, src: href, ...security })}></script>`;
+    }
+
+    return as === 'style' ? `<link${toAttributes({ rel: 'stylesheet', href, ...security })}>` : '';
+  }
+
+  if ( property === 'preload' && as === 'script' && module ) {
+    return `<link${toAttributes({ rel: 'modulepreload', href, ...security })}>`;
+  }
+
+  return `<link${toAttributes({ rel: property, href, as, ...security })}>`;
+}
+
+/**
+ * Render tags for each entrypoint.
+ *
+ * @param  {object} entrypoints - entrypoint name: { assets: string[], preload: string[], prefetch: string[] }
+ * @param  {(file: string) => object} describe - Get the `renderTag()` file argument for a file
+ * @return {object} entrypoint name: { assets: string[], preload: string[], prefetch: string[] }
+ */
+function getEntrypointTags( entrypoints, describe )
+{
+  const tags = Object.create(null);
+
+  for ( const [ name, properties ] of Object.entries( entrypoints ) ) {
+    tags[ name ] = Object.create(null);
+
+    for ( const [ property, files ] of Object.entries( properties ) ) {
+      const isStyle = file => getPreloadAs( file ) === 'style';
+
+      // Stylesheets should come before scripts.
+      tags[ name ][ property ] = [ ...files.filter( isStyle ), ...files.filter( file => ! isStyle( file ) ) ]
+        .map( file => renderTag( property, describe( file ) ) )
+        .filter( Boolean );
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Encode a URL so it can be used inside the `<>` of a `Link` header value.
+ *
+ * Characters that are already percent-encoded are left alone.
+ *
+ * @param  {string} url
+ * @return {string}
+ */
+function encodeLinkURL( url )
+{
+  return encodeURI( url ).replace( /%25([0-9a-f]{2})/gi, '%$1' );
+}
+
+/**
+ * Create an HTTP `Link` header value that can also be used for `103 Early Hints`.
+ *
+ * @param  {object} groups - property: { file type: string[] }, where property is `assets`, `preload`, or `prefetch`
+ * @param  {object} options
+ * @param  {boolean|string} [options.crossorigin]
+ * @param  {boolean} [options.nopush] - Tell HTTP/2 servers not to push the files
+ * @param  {boolean} [options.module] - Are the scripts ES modules?
+ * @return {string}
+ */
+function getLinkHeader( groups, { crossorigin = false, nopush = false, module = false } = {} )
+{
+  const links = [];
+
+  // Preloaded files should come before prefetched files.
+  for ( const property of [ 'assets', 'preload', 'prefetch' ] ) {
+    const types = groups[ property ] || {};
+    const rel = property === 'prefetch' ? 'prefetch' : 'preload';
+
+    for ( const [ type, urls ] of Object.entries( types ) ) {
+      const as = preloadTypes[ type ] || 'fetch';
+      const cors = crossorigin || ( as === 'font' ? 'anonymous' : false );
+
+      // ES modules are preloaded with `modulepreload`, which doesn't use `as`.
+      const modulePreload = rel === 'preload' && as === 'script' && ( module || type === 'mjs' );
+
+      for ( const url of urls ) {
+        links.push( [
+          `<${encodeLinkURL( url )}>`,
+          modulePreload ? 'rel=modulepreload' : `rel=${rel}`,
+          ! modulePreload && `as=${as}`,
+          cors === true || cors === 'anonymous' ? 'crossorigin' : cors && `crossorigin=${cors}`,
+          nopush && 'nopush',
+        ].filter( Boolean ).join('; ') );
+      }
+    }
+  }
+
+  return links.join(', ');
+}
+
+/**
+ * Get an HTML fragment for the tags of one entrypoint.
+ *
+ * @param  {object} tags - { assets: string[], preload: string[], prefetch: string[] }
+ * @return {string}
+ */
+function toHTML( tags )
+{
+  return [
+    ...( tags.preload || [] ),
+    ...( tags.assets || [] ),
+    ...( tags.prefetch || [] ),
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  getFileType,
+  getPreloadAs,
+  toAttributes,
+  renderTag,
+  getEntrypointTags,
+  getLinkHeader,
+  toHTML,
+};
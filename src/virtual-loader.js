@@ -0,0 +1,31 @@
+'use strict';
+
+const querystring = require('querystring');
+
+/**
+ * Replace `webpack-assets-manifest/virtual?name=...` with the manifest of the compiler that has that name.
+ *
+ * This loader is added by VirtualManifestPlugin.
+ *
+ * @this {object} The loader context
+ */
+module.exports = function virtualManifestLoader()
+{
+  const callback = this.async();
+  const { plugin } = this.getOptions();
+  const { name } = querystring.parse( this.resourceQuery.replace( /^\?/, '' ) );
+
+  plugin.getManifest( String( name ) ).then(
+    data => {
+      const manifestPath = plugin.getManifestPath( String( name ) );
+
+      // The module is rebuilt when the manifest file changes.
+      if ( manifestPath ) {
+        this.addDependency( manifestPath );
+      }
+
+      callback( null, `export default ${JSON.stringify( data, null, 2 )};\n` );
+    },
+    callback,
+  );
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const chai = require('chai');
+const { expect } = chai;
+
+const LockService = require('../src/LockService.js');
+
+describe('LockService', function() {
+  let lockDir;
+  let locks;
+
+  const writeLock = async ( filename, holder, mtime = new Date() ) => {
+    const lockPath = locks.getLockPath( filename );
+
+    await fs.outputJson( lockPath, holder );
+    await fs.utimes( lockPath, mtime, mtime );
+
+    return lockPath;
+  };
+
+  beforeEach(async () => {
+    lockDir = await fs.mkdtemp( path.join( os.tmpdir(), 'locks-' ) );
+    locks = new LockService({ lockDir, timeout: 50, stale: 1000, retryWait: 10 });
+  });
+
+  afterEach(async () => {
+    await fs.remove( lockDir );
+  });
+
+  describe('withLock()', function() {
+    it('holds the lock while the callback runs', async () => {
+      const result = await locks.withLock( 'manifest.json', async () => {
+        expect( await fs.pathExists( locks.getLockPath('manifest.json') ) ).to.be.true;
+
+        return 'done';
+      });
+
+      expect( result ).to.equal('done');
+      expect( await fs.readdir( lockDir ) ).to.be.empty;
+    });
+
+    it('releases the lock when the callback throws', async () => {
+      const error = await locks.withLock( 'manifest.json', () => {
+        throw new Error('Failed');
+      }).catch( error => error );
+
+      expect( error.message ).to.equal('Failed');
+      expect( await fs.readdir( lockDir ) ).to.be.empty;
+    });
+  });
+
+  describe('lock()', function() {
+    it('reports the lock holder when it times out', async () => {
+      await writeLock( 'manifest.json', { pid: process.pid, hostname: os.hostname() } );
+
+      const error = await locks.lock('manifest.json').catch( error => error );
+
+      expect( error ).to.include({ name: 'AssetsManifestLockError', code: 'ELOCKTIMEOUT', pid: process.pid });
+      expect( error.message ).to.include(`The lock is held by process ${process.pid}`);
+    });
+
+    it('removes stale locks', async () => {
+      await writeLock( 'old.json', { pid: process.pid, hostname: os.hostname() }, new Date( Date.now() - 5000 ) );
+      await writeLock( 'exited.json', { pid: 4194305, hostname: os.hostname() } );
+
+      await locks.lock('old.json');
+      await locks.lock('exited.json');
+
+      expect( ( await fs.readJson( locks.getLockPath('exited.json') ) ).pid ).to.equal( process.pid );
+
+      await locks.unlock('old.json');
+      await locks.unlock('exited.json');
+    });
+
+    it('can be nested', async () => {
+      const lockPath = locks.getLockPath('manifest.json');
+
+      await locks.lock('manifest.json');
+      await locks.lock('manifest.json');
+      await locks.unlock('manifest.json');
+
+      expect( await fs.pathExists( lockPath ) ).to.be.true;
+
+      await locks.unlock('manifest.json');
+
+      expect( await fs.pathExists( lockPath ) ).to.be.false;
+    });
+  });
+
+  describe('removeStaleLock()', function() {
+    it('removes the lock that was found to be stale', async () => {
+      const holder = { pid: 4194305, hostname: os.hostname() };
+      const lockPath = await writeLock( 'manifest.json', holder );
+
+      await locks.removeStaleLock( lockPath, holder );
+
+      expect( await fs.readdir( lockDir ) ).to.be.empty;
+    });
+
+    it('keeps a lock that replaced the stale lock', async () => {
+      const lockPath = await writeLock( 'manifest.json', { pid: process.pid, hostname: os.hostname(), token: 'new' } );
+
+      await locks.removeStaleLock( lockPath, { pid: 4194305, hostname: os.hostname(), token: 'old' } );
+
+      expect( await fs.readdir( lockDir ) ).to.deep.equal([ path.basename( lockPath ) ]);
+      expect( ( await fs.readJson( lockPath ) ).token ).to.equal('new');
+    });
+  });
+
+  describe('unlock()', function() {
+    it('leaves locks held by others alone', async () => {
+      const lockPath = await writeLock( 'manifest.json', { pid: process.pid, hostname: os.hostname() } );
+
+      await locks.unlock('manifest.json');
+
+      expect( await fs.pathExists( lockPath ) ).to.be.true;
+    });
+  });
+});
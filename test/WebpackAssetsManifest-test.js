@@ -1,5 +1,6 @@
 'use strict';
 
+const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
@@ -14,6 +15,7 @@ const configs = require('./fixtures/configs');
 const makeCompiler = require('./fixtures/makeCompiler');
 
 const WebpackAssetsManifest = require('../src/WebpackAssetsManifest');
+const { getContentHash } = require('../src/helpers.js');
 const { assert, expect } = chai;
 
 chai.use(spies);
@@ -408,6 +410,82 @@ describe('WebpackAssetsManifest', function() {
       });
     });
 
+    describe('format', function() {
+      const assets = {
+        'main.js': 'main.js',
+      };
+
+      it('uses the output file extension by default', function() {
+        [
+          [ 'assets-manifest.json', 'json' ],
+          [ 'assets-manifest.yml', 'yaml' ],
+          [ 'assets-manifest.YAML', 'yaml' ],
+          [ 'assets-manifest.toml', 'toml' ],
+          [ 'assets-manifest.ndjson', 'ndjson' ],
+          [ 'assets-manifest.txt', 'json' ],
+        ].forEach( ([ output, format ]) => {
+          const manifest = new WebpackAssetsManifest({ output });
+
+          assert.equal( manifest.getFormat(), format );
+        });
+      });
+
+      it('can be set explicitly', function() {
+        const manifest = new WebpackAssetsManifest({
+          assets,
+          output: 'assets-manifest.json',
+          format: 'yaml',
+        });
+
+        assert.equal( manifest.toString(), 'main.js: "main.js"\n' );
+      });
+
+      it('throws when the format is unknown', function() {
+        const manifest = new WebpackAssetsManifest({
+          format: 'xml',
+        });
+
+        expect( () => manifest.toString() ).to.throw('Unknown manifest format: xml');
+      });
+
+      it('throws when the plugin is applied with an unknown format', function() {
+        expect( () => create( configs.hello(), { format: 'xml' } ) ).to.throw('Unknown manifest format: xml');
+      });
+
+      it('reads the existing manifest with the same format', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            output: 'assets-manifest.yml',
+            merge: true,
+            backup: true,
+            writeToDisk: true,
+          },
+        );
+
+        await fs.outputFile( manifest.getOutputPath(), 'old.js: "old.js"\n' );
+        await run();
+
+        expect( manifest.get('old.js') ).to.equal('old.js');
+        expect( await fs.readFile( manifest.getOutputPath() + '.bak', 'utf8' ) ).to.equal('old.js: "old.js"\n');
+      });
+
+      it('is used when emitting the manifest', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            output: 'assets-manifest.toml',
+          },
+        );
+
+        await run();
+
+        const content = manifest.compiler.outputFileSystem.readFileSync( manifest.getOutputPath() ).toString();
+
+        assert.equal( content, '"main.js" = "main.js"\n' );
+      });
+    });
+
     describe('fileExtRegex', function() {
       it('should use custom RegExp', function() {
         const manifest = new WebpackAssetsManifest({
@@ -576,372 +654,1757 @@ describe('WebpackAssetsManifest', function() {
 
         expect( mock ).to.not.have.been.called();
       });
-    });
 
-    describe('publicPath', function() {
-      const img = 'images/photo.jpg';
-      const cdn = {
-        default: 'https://cdn.example.com/',
-        images: 'https://img-cdn.example.com/',
-      };
+      describe('mergeStrategy', function() {
+        const build = async ( options, existing = {} ) => {
+          const { manifest, run } = create(
+            configs.hello(),
+            {
+              entrypoints: true,
+              merge: true,
+              ...options,
+            },
+          );
 
-      it('can be a string', function() {
-        const manifest = new WebpackAssetsManifest({
-          publicPath: 'assets/',
+          const sample = await fs.readJson( path.resolve(__dirname, 'fixtures/json/sample-manifest.json') );
+
+          await fs.outputJson( manifest.getOutputPath(), { ...sample, ...existing } );
+          await run();
+
+          return manifest;
+        };
+
+        it('shallow merges each entrypoint', async () => {
+          const manifest = await build({ mergeStrategy: 'shallow' });
+
+          expect( manifest.get('entrypoints') ).to.deep.equal({
+            main: { assets: { js: [ 'main.js' ] } },
+            demo: { assets: { js: [ 'demo.js' ] } },
+          });
+          expect( manifest.get('Ginger.jpg') ).to.equal('images/Ginger.jpg');
         });
 
-        manifest.set('hello', 'world');
-        assert.equal( manifest.get('hello'), 'assets/world' );
-      });
+        it('keeps the existing values with prefer-existing', async () => {
+          const manifest = await build({ mergeStrategy: 'prefer-existing' }, { 'main.js': 'main-old.js' });
 
-      it('can be true', async () => {
-        const config = configs.hello();
+          expect( manifest.get('main.js') ).to.equal('main-old.js');
+          expect( manifest.get('entrypoints').main.assets.css ).to.deep.equal([ 'main.css' ]);
+        });
 
-        config.output.publicPath = cdn.default;
+        it('drops keys whose files no longer exist with replace-stale', async () => {
+          const { manifest, run } = create(
+            configs.hello(),
+            {
+              entrypoints: true,
+              merge: true,
+              mergeStrategy: 'replace-stale',
+            },
+          );
 
-        const { manifest, run } = create(
-          config,
-          {
-            publicPath: true,
-          },
-        );
+          const { outputPath } = manifest.compiler;
 
-        await run();
+          await fs.outputJson( manifest.getOutputPath(), {
+            'kept.js': 'kept.js',
+            'stale.js': 'stale.js',
+            entrypoints: {
+              kept: { assets: { js: [ 'kept.js' ] } },
+              stale: { assets: { js: [ 'kept.js', 'stale.js' ] } },
+            },
+          });
 
-        assert.equal( cdn.default + 'main.js', manifest.get('main.js') );
-      });
+          await fs.outputFile( path.join( outputPath, 'kept.js' ), '' );
+          await run();
 
-      it('has no effect if false', async () => {
-        const config = configs.hello();
+          expect( manifest.has('kept.js') ).to.be.true;
+          expect( manifest.has('stale.js') ).to.be.false;
+          expect( manifest.get('entrypoints') ).to.have.keys([ 'main', 'kept' ]);
+        });
 
-        config.output.publicPath = cdn.default;
+        it('calls the mergeConflict hook', async () => {
+          const conflicts = [];
+          const manifest = await build(
+            {
+              mergeConflict(value, key, oldValue, newValue) {
+                conflicts.push([ key, oldValue, newValue ]);
+
+                return key === 'main.js' ? 'resolved.js' : value;
+              },
+            },
+            { 'main.js': 'main-old.js' },
+          );
+
+          expect( manifest.get('main.js') ).to.equal('resolved.js');
+          expect( conflicts.map( ([ key ]) => key ) ).to.have.members([ 'main.js', 'entrypoints.main' ]);
+          expect( conflicts.find( ([ key ]) => key === 'main.js' ) ).to.deep.equal([ 'main.js', 'main-old.js', 'main.js' ]);
+        });
+
+        it('adds an error to the compilation when the mergeConflict hook throws', async () => {
+          let errors;
+
+          const manifest = await build(
+            {
+              mergeConflict() {
+                throw new Error('Unable to merge');
+              },
+              apply(manifest) {
+                manifest.compiler.hooks.done.tap('test', stats => {
+                  errors = stats.compilation.errors.map( error => error.message );
+                });
+              },
+            },
+            { 'main.js': 'main-old.js' },
+          );
+
+          expect( errors[ 0 ] ).to.include('Unable to merge');
+          expect( manifest.emittedAsset ).to.be.null;
+        });
+      });
+    });
 
+    describe('backup', function() {
+      it('keeps the previous manifest in a backup file', async () => {
         const { manifest, run } = create(
-          config,
+          configs.hello(),
           {
-            publicPath: false,
+            backup: true,
+            writeToDisk: true,
           },
         );
 
+        await fs.outputFile( manifest.getOutputPath(), '{"old.js":"old.js"}' );
         await run();
 
-        assert.equal('main.js', manifest.get('main.js') );
+        const files = await fs.readdir( path.dirname( manifest.getOutputPath() ) );
+
+        expect( files.filter( file => file.endsWith('.tmp') ) ).to.be.empty;
+        expect( await fs.readFile( manifest.getOutputPath() + '.bak', 'utf8' ) ).to.equal('{"old.js":"old.js"}');
+        expect( await fs.readFile( manifest.getOutputPath(), 'utf8' ) ).to.equal( manifest.toString() );
       });
 
-      it('only prefixes strings', function() {
-        const manifest = new WebpackAssetsManifest({
-          publicPath: cdn.default,
+      it('merges the backup when the manifest is corrupt', async () => {
+        const { compiler, manifest, run } = create(
+          configs.hello(),
+          {
+            backup: true,
+            merge: true,
+          },
+        );
+
+        let warnings;
+
+        compiler.hooks.done.tap('test', stats => {
+          warnings = stats.compilation.warnings.map( warning => warning.message );
         });
 
-        manifest.set('obj', {} );
+        await fs.outputFile( manifest.getOutputPath(), '{"old.js":' );
+        await fs.outputFile( manifest.getOutputPath() + '.bak', '{"old.js":"old.js"}' );
+        await run();
 
-        assert.deepEqual({}, manifest.get('obj'));
+        expect( manifest.get('old.js') ).to.equal('old.js');
+        expect( warnings[ 0 ] ).to.include('The backup file was used instead');
+        expect( await fs.readFile( manifest.getOutputPath() + '.bak', 'utf8' ) ).to.equal('{"old.js":"old.js"}');
       });
+    });
 
-      it('can be a custom function', function() {
-        const manifest = new WebpackAssetsManifest({
-          publicPath: function( val, manifest ) {
-            if ( manifest.getExtension( val ).substr(1).toLowerCase() ) {
-              return cdn.images + val;
-            }
-
-            return cdn.default + val;
+    describe('lock', function() {
+      it('releases the locks in lockDir', async () => {
+        const lockDir = configs.tmpDirPath();
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            merge: true,
+            writeToDisk: true,
+            lock: {
+              lockDir,
+            },
           },
-        });
-
-        assert.isFunction( manifest.options.publicPath );
+        );
 
-        manifest.set( img, img );
+        await run();
 
-        assert.equal( cdn.images + img, manifest.get( img ) );
+        expect( manifest.getLockService().lockDir ).to.equal( lockDir );
+        expect( await fs.readdir( lockDir ) ).to.be.empty;
       });
-    });
 
-    describe('customize', function() {
-      it('customizes the key and value', function() {
-        const { manifest } = create(
+      it('holds the lock from the read until the manifest is emitted', async () => {
+        const lockDir = configs.tmpDirPath();
+        const { compiler, manifest, run } = create(
           configs.hello(),
           {
-            customize(entry) {
-              return {
-                key: entry.key.toUpperCase(),
-                value: entry.value.toUpperCase(),
-              };
+            merge: true,
+            lock: {
+              lockDir,
             },
           },
         );
 
-        manifest.set('hello', 'world');
+        let locked;
 
-        assert.isTrue( manifest.has('HELLO') );
-        assert.isFalse( manifest.has('hello') );
+        compiler.hooks.emit.tap('test', () => {
+          locked = fs.existsSync( manifest.getLockService().getLockPath( manifest.getOutputPath() ) );
+        });
+
+        await run();
+
+        expect( locked ).to.be.true;
+        expect( manifest.lockedPath ).to.be.null;
+        expect( await fs.readdir( lockDir ) ).to.be.empty;
       });
 
-      it('customizes the key', function() {
-        const { manifest } = create(
+      it('reports the process that holds the lock', async () => {
+        const lockDir = configs.tmpDirPath();
+        const { manifest, run } = create(
           configs.hello(),
           {
-            customize(entry) {
-              return {
-                key: entry.key.toUpperCase(),
-              };
+            merge: true,
+            lock: {
+              lockDir,
+              timeout: 0,
             },
           },
         );
 
-        manifest.set('hello', 'world');
+        await fs.outputJson(
+          manifest.getLockService().getLockPath( manifest.getOutputPath() ),
+          { pid: process.pid, hostname: os.hostname() },
+        );
 
-        assert.isTrue( manifest.has('HELLO') );
-        assert.isFalse( manifest.has('hello') );
-        assert.equal( manifest.get('HELLO'), 'world' );
+        const error = await run().catch( error => error );
+
+        expect( error.message ).to.include(`The lock is held by process ${process.pid}`);
       });
+    });
 
-      it('customizes the value', function() {
-        const { manifest } = create(
+    describe('mergeFrom', function() {
+      const setup = async () => {
+        const dir = configs.tmpDirPath();
+
+        await fs.outputJson( path.join( dir, 'apps/cart/assets-manifest.json' ), {
+          'main.js': 'cart/main.js',
+          entrypoints: { main: { assets: { js: [ 'cart/main.js' ] } } },
+        });
+
+        await fs.outputJson( path.join( dir, 'apps/search/assets-manifest.json' ), {
+          'main.js': 'search/main.js',
+        });
+
+        return dir;
+      };
+
+      it('adds the entries of each manifest with a prefix', async () => {
+        const dir = await setup();
+        const { manifest, run } = create(
           configs.hello(),
           {
-            customize(entry) {
-              return {
-                value: entry.value.toUpperCase(),
-              };
+            entrypoints: true,
+            provenance: true,
+            mergeFrom: {
+              from: path.join( dir, 'apps/*/assets-manifest.json' ),
+              prefix: file => `${path.basename( path.dirname( file ) )}/`,
             },
           },
         );
 
-        manifest.set('hello', 'world');
+        await run();
 
-        assert.isFalse( manifest.has('HELLO') );
-        assert.isTrue( manifest.has('hello') );
-        assert.equal( manifest.get('hello'), 'WORLD' );
+        expect( manifest.get('main.js') ).to.equal('main.js');
+        expect( manifest.get('cart/main.js') ).to.equal('cart/main.js');
+        expect( manifest.get('search/main.js') ).to.equal('search/main.js');
+        expect( manifest.get('entrypoints') ).to.have.keys([ 'main', 'cart/main' ]);
+
+        const provenance = manifest.get('provenance');
+
+        expect( Object.keys( provenance ) ).to.have.members([ 'cart/main.js', 'entrypoints.cart/main', 'search/main.js' ]);
+        expect( provenance[ 'search/main.js' ] ).to.equal(
+          path.relative( manifest.compiler.context, path.join( dir, 'apps/search/assets-manifest.json' ) ),
+        );
       });
 
-      it('has no effect unless an object or false is returned', function() {
-        const { manifest } = create(
+      it('adds each manifest under a namespace', async () => {
+        const dir = await setup();
+        const { manifest, run } = create(
           configs.hello(),
           {
-            customize() {
-              return 3.14;
-            },
+            mergeFrom: [
+              { from: path.join( dir, 'apps/cart/assets-manifest.json' ), namespace: 'cart' },
+              { from: path.join( dir, 'apps/search/assets-manifest.json' ), namespace: 'search' },
+            ],
           },
         );
 
-        manifest.set('hello', 'world');
+        await run();
 
-        assert.isTrue( manifest.has('hello') );
-        assert.equal( manifest.get('hello'), 'world' );
+        expect( manifest.get('cart') ).to.deep.include({ 'main.js': 'cart/main.js' });
+        expect( manifest.get('search') ).to.deep.equal({ 'main.js': 'search/main.js' });
+        expect( manifest.has('provenance') ).to.be.false;
       });
 
-      it('skips adding asset if false is returned', function() {
-        const { manifest } = create(
+      it('watches the files and the directory of a glob pattern', async () => {
+        const dir = await setup();
+        const { compiler, run } = create(
           configs.hello(),
           {
-            customize() {
-              return false;
-            },
+            mergeFrom: path.join( dir, 'apps/*/assets-manifest.json' ),
           },
         );
 
-        manifest.set('hello', 'world');
+        let compilation;
 
-        assert.isFalse( manifest.has('hello') );
-        assert.deepEqual( {}, manifest.assets );
+        compiler.hooks.done.tap('test', stats => {
+          compilation = stats.compilation;
+        });
+
+        await run();
+
+        expect( [ ...compilation.contextDependencies ] ).to.include( path.join( dir, 'apps' ) );
+        expect( [ ...compilation.fileDependencies ] ).to.include.members([
+          path.join( dir, 'apps/cart/assets-manifest.json' ),
+          path.join( dir, 'apps/search/assets-manifest.json' ),
+        ]);
       });
-    });
 
-    describe('integrityHashes', function() {
-      it('invalid crypto hashes are filtered out', function() {
-        const { manifest } = create(
+      it('adds a warning when a pattern does not match any files', async () => {
+        const { compiler, run } = create(
           configs.hello(),
           {
-            integrityHashes: [ 'sha256', 'invalid-algorithm' ],
+            mergeFrom: path.join( configs.tmpDirPath(), '*.json' ),
           },
         );
 
-        assert.notInclude(manifest.options.integrityHashes, 'invalid-algorithm');
+        let warnings;
+
+        compiler.hooks.done.tap('test', stats => {
+          warnings = stats.compilation.warnings.map( warning => warning.message );
+        });
+
+        await run();
+
+        expect( warnings[ 0 ] ).to.include('did not match any files');
       });
     });
 
-    describe('integrity', function() {
-      it('manifest entry contains an integrity property', async () => {
+    describe('module', function() {
+      it('creates an ES module and declarations next to the manifest', async () => {
         const { manifest, run } = create(
           configs.hello(),
           {
+            module: 'esm',
+            entrypoints: true,
             integrity: true,
           },
         );
 
         await run();
 
-        const asset = manifest.get('main.js');
+        const { outputFileSystem } = manifest.compiler;
+        const dir = path.dirname( manifest.getOutputPath() );
+        const source = outputFileSystem.readFileSync( path.join( dir, 'assets-manifest.mjs' ) ).toString();
+        const declaration = outputFileSystem.readFileSync( path.join( dir, 'assets-manifest.d.mts' ) ).toString();
 
-        assert.typeOf(asset, 'object');
-        assert.property(asset, 'integrity');
-        assert.isNotEmpty( asset.integrity );
+        expect( source ).to.contain('export default manifest;');
+        expect( declaration ).to.contain('export type AssetsManifestKey = "entrypoints" | "main.js";');
+        expect( declaration ).to.contain('"integrity": string;');
+        expect( declaration ).to.contain('"js": string[];');
       });
-    });
 
-    describe('integrityPropertyName', function() {
-      it('Assigns SRI hashes to currentAsset.info[ integrityPropertyName ]', async () => {
-        const integrityPropertyName = 'sri';
-        const { run } = create(
+      it('creates a CommonJS module when writing to disk', async () => {
+        const { manifest, run } = create(
           configs.hello(),
           {
-            integrity: true,
-            integrityHashes: [ 'md5' ],
-            integrityPropertyName,
-            customize(entry, original, manifest, asset) {
-              assert.containsAllKeys(
-                asset.info,
-                [ integrityPropertyName ],
-                `asset.info is missing ${integrityPropertyName} property`,
-              );
-            },
+            module: 'cjs',
+            writeToDisk: true,
           },
         );
 
         await run();
+
+        const filename = manifest.getOutputPath().replace(/\.json$/, '.cjs');
+
+        expect( require( filename ) ).to.deep.equal( manifest.toJSON() );
+        expect( fs.existsSync( filename.replace(/\.cjs$/, '.d.cts') ) ).to.be.true;
+      });
+    });
+
+    describe('preset', function() {
+      it('vite: creates a Vite compatible manifest', async () => {
+        const { manifest, run } = create(
+          configs.complex(),
+          {
+            preset: 'vite',
+          },
+        );
+
+        await run();
+
+        const data = manifest.toJSON();
+
+        expect( data[ 'complex.mjs' ] ).to.deep.equal({
+          file: 'complex-HASH.js',
+          src: 'complex.mjs',
+          isEntry: true,
+          dynamicImports: [ 'hello.js', 'load-styles.mjs', 'prefetch.js', 'preload.js' ],
+        });
+
+        expect( data[ 'main.js' ] ).to.deep.equal({
+          file: 'main-HASH.js',
+          src: 'main.js',
+          isEntry: true,
+          css: [ 'main-HASH.css' ],
+        });
+
+        expect( data[ 'load-styles.mjs' ] ).to.deep.include({
+          isDynamicEntry: true,
+          css: [ 'load-styles-HASH.css' ],
+          assets: [ 'images/HASH.jpg' ],
+        });
+
+        expect( data[ 'images/Ginger.asset.jpg' ] ).to.deep.equal({
+          file: 'images/HASH.jpg',
+          src: 'images/Ginger.asset.jpg',
+        });
+      });
+
+      it('vite: finds dynamic imports in nested blocks and leaves out source maps', async () => {
+        const config = configs.hello();
+
+        config.entry = path.resolve(__dirname, 'fixtures/nested-import.cjs');
+        config.devtool = 'source-map';
+
+        const { manifest, run } = create(
+          config,
+          {
+            preset: 'vite',
+          },
+        );
+
+        await run();
+
+        const data = manifest.toJSON();
+        const files = [].concat( ...Object.values( data ).map( entry => entry.assets || [] ) );
+
+        expect( data[ 'test/fixtures/nested-import.cjs' ].dynamicImports ).to.deep.equal([ 'test/fixtures/hello.js' ]);
+        expect( data[ 'test/fixtures/hello.js' ] ).to.include({ isDynamicEntry: true });
+        expect( files.filter( file => file.endsWith('.map') ) ).to.be.empty;
+      });
+
+      it('vite: chunks without a source file are imported', async () => {
+        const config = configs.hello();
+
+        config.optimization = {
+          runtimeChunk: 'single',
+        };
+
+        const { manifest, run } = create(
+          config,
+          {
+            preset: 'vite',
+            contextRelativeKeys: true,
+          },
+        );
+
+        await run();
+
+        expect( manifest.toJSON() ).to.deep.equal({
+          '_runtime.js': {
+            file: 'runtime.js',
+          },
+          'test/fixtures/hello.js': {
+            file: 'main.js',
+            src: 'test/fixtures/hello.js',
+            isEntry: true,
+            imports: [ '_runtime.js' ],
+          },
+        });
+      });
+    });
+
+    describe('output', function() {
+      it('supports [contenthash]', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            output: 'manifest.[contenthash:8].json',
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const files = outputFileSystem.readdirSync( path.dirname( manifest.getOutputPath() ) );
+        const filename = files.find( file => file.startsWith('manifest.') );
+        const content = outputFileSystem.readFileSync( path.join( path.dirname( manifest.getOutputPath() ), filename ) );
+
+        expect( filename ).to.match(/^manifest\.[a-f0-9]{8}\.json$/);
+        expect( content.toString() ).to.equal( manifest.toString() );
+        expect( files.some( file => file.endsWith('-latest.json') ) ).to.be.false;
+      });
+    });
+
+    describe('pointer', function() {
+      it('creates a file that has the name of the current manifest', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            output: 'manifest.[contenthash].json',
+            pointer: true,
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const dir = path.dirname( manifest.getOutputPath() );
+        const { current } = JSON.parse( outputFileSystem.readFileSync( path.join( dir, 'manifest-latest.json' ) ).toString() );
+
+        expect( current ).to.match(/^manifest\.[a-f0-9]{20}\.json$/);
+        expect( outputFileSystem.readFileSync( path.join( dir, current ) ).toString() ).to.equal( manifest.toString() );
+      });
+
+      it('can be a path relative to the manifest', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            output: 'manifests/manifest.[contenthash:8].json',
+            pointer: '../pointer.json',
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), '../pointer.json' );
+        const { current } = JSON.parse( outputFileSystem.readFileSync( filename ).toString() );
+
+        expect( current ).to.match(/^manifests\/manifest\.[a-f0-9]{8}\.json$/);
+      });
+
+      it('is used to find the existing manifest for merge', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            output: 'manifest.[contenthash:8].json',
+            pointer: true,
+            merge: true,
+          },
+        );
+
+        const dir = path.dirname( manifest.getOutputPath() );
+
+        await fs.outputJson( path.join( dir, 'manifest.abcd1234.json' ), { 'old.js': 'old.js' } );
+        await fs.outputJson( path.join( dir, 'manifest-latest.json' ), { current: 'manifest.abcd1234.json' } );
+
+        expect( await manifest.getExistingManifestPath() ).to.equal( path.join( dir, 'manifest.abcd1234.json' ) );
+
+        await run();
+
+        expect( manifest.get('old.js') ).to.equal('old.js');
+        expect( await manifest.getExistingManifestPath() ).to.equal( manifest.manifestPath );
+        expect( manifest.manifestPath ).to.match(/manifest\.[a-f0-9]{8}\.json$/);
+      });
+
+      it('is not needed without [contenthash]', async () => {
+        const { manifest } = create( configs.hello() );
+
+        expect( await manifest.getExistingManifestPath() ).to.equal( manifest.getOutputPath() );
+      });
+    });
+
+    describe('outputs', function() {
+      it('creates additional manifests from the same assets', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            outputs: [
+              {
+                output: 'integrity-manifest.json',
+                integrity: true,
+                customize(entry, original, manifest, asset) {
+                  return {
+                    key: entry.value,
+                    value: asset && asset.info.integrity,
+                  };
+                },
+              },
+              {
+                output: 'cdn-manifest.yml',
+                publicPath: 'https://cdn.example.com/',
+              },
+            ],
+          },
+        );
+
+        const spy = chai.spy.on( manifest, 'processAssetsByChunkName' );
+
+        await run();
+
+        expect( spy ).to.have.been.called.once;
+
+        const [ integrityManifest, cdnManifest ] = manifest.outputs;
+        const { outputFileSystem } = manifest.compiler;
+
+        expect( manifest.get('main.js') ).to.equal('main.js');
+        expect( integrityManifest.get('main.js') ).to.be.a('string').that.matches(/^sha256-/);
+        expect( cdnManifest.get('main.js') ).to.equal('https://cdn.example.com/main.js');
+
+        expect(
+          JSON.parse( outputFileSystem.readFileSync( integrityManifest.getOutputPath() ).toString() ),
+        ).to.deep.equal( integrityManifest.toJSON() );
+
+        expect(
+          outputFileSystem.readFileSync( cdnManifest.getOutputPath() ).toString(),
+        ).to.equal('main.js: "https://cdn.example.com/main.js"\n');
+      });
+
+      it('inherits options that are not in the output descriptor', function() {
+        const { manifest } = create(
+          configs.hello(),
+          {
+            space: 0,
+            sortManifest: false,
+            outputs: [
+              {
+                output: 'other.json',
+              },
+            ],
+          },
+        );
+
+        const [ other ] = manifest.outputs;
+
+        expect( other.options.space ).to.equal(0);
+        expect( other.options.sortManifest ).to.be.false;
+        expect( other.options.outputs ).to.be.empty;
+        expect( other.assets ).to.not.equal( manifest.assets );
+      });
+
+      it('uses the hooks that were tapped into the main manifest', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            outputs: [
+              {
+                output: 'other.json',
+              },
+            ],
+          },
+        );
+
+        manifest.hooks.customize.tap('test', entry => ({ key: `custom-${entry.key}`, value: entry.value }) );
+        manifest.hooks.transform.tap('test', assets => ({ ...assets, extra: 'extra.js' }) );
+
+        await run();
+
+        const [ other ] = manifest.outputs;
+
+        expect( other.toJSON() ).to.deep.equal( manifest.toJSON() );
+        expect( other.toJSON() ).to.deep.equal({
+          'custom-main.js': 'main.js',
+          extra: 'extra.js',
+        });
+      });
+
+      it('can have its own entrypoints option', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            outputs: [
+              {
+                output: 'entrypoints.json',
+                entrypoints: true,
+              },
+            ],
+          },
+        );
+
+        await run();
+
+        const [ other ] = manifest.outputs;
+
+        expect( manifest.has('entrypoints') ).to.be.false;
+        expect( other.get('entrypoints') ).to.have.property('main');
+      });
+
+      it('output descriptors are validated', function() {
+        expect(() => {
+          create(
+            configs.hello(),
+            {
+              outputs: [
+                {
+                  space: 0,
+                },
+              ],
+            },
+          );
+        }).to.throw();
+      });
+    });
+
+    describe('precache', function() {
+      it('creates a precache list next to the manifest', async () => {
+        const config = configs.copy();
+
+        config.output.filename = '[name]-[contenthash:6].js';
+
+        const { manifest, run } = create(
+          config,
+          {
+            publicPath: '/',
+            precache: true,
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), 'precache-manifest.json' );
+        const precache = JSON.parse( outputFileSystem.readFileSync( filename ).toString() );
+
+        expect( precache ).to.have.lengthOf(2);
+        expect( precache[ 0 ] ).to.have.property('url').that.matches(/^\/main-\w{6}\.js$/);
+        expect( precache[ 0 ] ).to.have.property('revision', null);
+        expect( precache[ 1 ] ).to.deep.equal({
+          url: '/readme.md',
+          revision: getContentHash( fs.readFileSync( path.join( __dirname, 'fixtures/readme.md' ) ) ),
+        });
+      });
+
+      it('can include and exclude assets and create a script', async () => {
+        const { manifest, run } = create(
+          configs.client(),
+          {
+            precache: {
+              include: [ /\.jpg$/, 'client.js' ],
+              exclude: [ '**/*.loader.jpg' ],
+              script: true,
+            },
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), 'precache-manifest.js' );
+        const content = outputFileSystem.readFileSync( filename ).toString();
+
+        expect( content.startsWith('self.__PRECACHE_MANIFEST = [') ).to.be.true;
+        expect( manifest.precacheManifest.map( entry => entry.url ) ).to.deep.equal([
+          'client.js',
+          'images/Ginger.asset.jpg',
+        ]);
+      });
+    });
+
+    describe('publicPath', function() {
+      const img = 'images/photo.jpg';
+      const cdn = {
+        default: 'https://cdn.example.com/',
+        images: 'https://img-cdn.example.com/',
+      };
+
+      it('can be a string', function() {
+        const manifest = new WebpackAssetsManifest({
+          publicPath: 'assets/',
+        });
+
+        manifest.set('hello', 'world');
+        assert.equal( manifest.get('hello'), 'assets/world' );
+      });
+
+      it('can be true', async () => {
+        const config = configs.hello();
+
+        config.output.publicPath = cdn.default;
+
+        const { manifest, run } = create(
+          config,
+          {
+            publicPath: true,
+          },
+        );
+
+        await run();
+
+        assert.equal( cdn.default + 'main.js', manifest.get('main.js') );
+      });
+
+      it('has no effect if false', async () => {
+        const config = configs.hello();
+
+        config.output.publicPath = cdn.default;
+
+        const { manifest, run } = create(
+          config,
+          {
+            publicPath: false,
+          },
+        );
+
+        await run();
+
+        assert.equal('main.js', manifest.get('main.js') );
+      });
+
+      it('only prefixes strings', function() {
+        const manifest = new WebpackAssetsManifest({
+          publicPath: cdn.default,
+        });
+
+        manifest.set('obj', {} );
+
+        assert.deepEqual({}, manifest.get('obj'));
+      });
+
+      it('can be a custom function', function() {
+        const manifest = new WebpackAssetsManifest({
+          publicPath: function( val, manifest ) {
+            if ( manifest.getExtension( val ).substr(1).toLowerCase() ) {
+              return cdn.images + val;
+            }
+
+            return cdn.default + val;
+          },
+        });
+
+        assert.isFunction( manifest.options.publicPath );
+
+        manifest.set( img, img );
+
+        assert.equal( cdn.images + img, manifest.get( img ) );
+      });
+    });
+
+    describe('customize', function() {
+      it('customizes the key and value', function() {
+        const { manifest } = create(
+          configs.hello(),
+          {
+            customize(entry) {
+              return {
+                key: entry.key.toUpperCase(),
+                value: entry.value.toUpperCase(),
+              };
+            },
+          },
+        );
+
+        manifest.set('hello', 'world');
+
+        assert.isTrue( manifest.has('HELLO') );
+        assert.isFalse( manifest.has('hello') );
+      });
+
+      it('customizes the key', function() {
+        const { manifest } = create(
+          configs.hello(),
+          {
+            customize(entry) {
+              return {
+                key: entry.key.toUpperCase(),
+              };
+            },
+          },
+        );
+
+        manifest.set('hello', 'world');
+
+        assert.isTrue( manifest.has('HELLO') );
+        assert.isFalse( manifest.has('hello') );
+        assert.equal( manifest.get('HELLO'), 'world' );
+      });
+
+      it('customizes the value', function() {
+        const { manifest } = create(
+          configs.hello(),
+          {
+            customize(entry) {
+              return {
+                value: entry.value.toUpperCase(),
+              };
+            },
+          },
+        );
+
+        manifest.set('hello', 'world');
+
+        assert.isFalse( manifest.has('HELLO') );
+        assert.isTrue( manifest.has('hello') );
+        assert.equal( manifest.get('hello'), 'WORLD' );
+      });
+
+      it('has no effect unless an object or false is returned', function() {
+        const { manifest } = create(
+          configs.hello(),
+          {
+            customize() {
+              return 3.14;
+            },
+          },
+        );
+
+        manifest.set('hello', 'world');
+
+        assert.isTrue( manifest.has('hello') );
+        assert.equal( manifest.get('hello'), 'world' );
+        assert.deepEqual( manifest.pendingWarnings, [ 'Unexpected customize() return type: Number' ] );
+      });
+
+      it('adds warnings from outside a compilation to the next compilation', async () => {
+        const { compiler, manifest, run } = create(
+          configs.hello(),
+          {
+            customize( entry ) {
+              return entry.key === 'hello' ? 3.14 : entry;
+            },
+          },
+        );
+
+        let warnings;
+
+        compiler.hooks.done.tap('test', stats => {
+          warnings = stats.compilation.warnings.map( warning => warning.message );
+        });
+
+        manifest.set('hello', 'world');
+
+        await run();
+
+        expect( warnings ).to.deep.equal([ 'WebpackAssetsManifest: Unexpected customize() return type: Number' ]);
+        expect( manifest.pendingWarnings ).to.be.empty;
+      });
+
+      it('adds a warning to the compilation for unexpected return types', async () => {
+        const { compiler, run } = create(
+          configs.hello(),
+          {
+            customize() {
+              return 3.14;
+            },
+          },
+        );
+
+        let warnings;
+
+        compiler.hooks.done.tap('test', stats => {
+          warnings = stats.compilation.warnings.map( warning => warning.message );
+        });
+
+        await run();
+
+        expect( warnings ).to.deep.equal([ 'WebpackAssetsManifest: Unexpected customize() return type: Number' ]);
+      });
+
+      it('skips adding asset if false is returned', function() {
+        const { manifest } = create(
+          configs.hello(),
+          {
+            customize() {
+              return false;
+            },
+          },
+        );
+
+        manifest.set('hello', 'world');
+
+        assert.isFalse( manifest.has('hello') );
+        assert.deepEqual( {}, manifest.assets );
+      });
+    });
+
+    describe('integrityHashes', function() {
+      it('invalid crypto hashes are filtered out', function() {
+        const { manifest } = create(
+          configs.hello(),
+          {
+            integrityHashes: [ 'sha256', 'invalid-algorithm' ],
+          },
+        );
+
+        assert.notInclude(manifest.options.integrityHashes, 'invalid-algorithm');
+      });
+
+      it('adds a warning to each compilation for unsupported hashes', async () => {
+        const { compiler, run } = create(
+          configs.hello(),
+          {
+            integrityHashes: [ 'sha256', 'invalid-algorithm' ],
+          },
+        );
+
+        const warnings = [];
+
+        compiler.hooks.done.tap('test', stats => {
+          warnings.push( stats.compilation.warnings.map( warning => warning.message ) );
+        });
+
+        await run();
+        await run();
+
+        expect( warnings ).to.deep.equal([
+          [ 'WebpackAssetsManifest: invalid-algorithm is not a supported hash algorithm' ],
+          [ 'WebpackAssetsManifest: invalid-algorithm is not a supported hash algorithm' ],
+        ]);
+      });
+    });
+
+    describe('integrity', function() {
+      it('manifest entry contains an integrity property', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            integrity: true,
+          },
+        );
+
+        await run();
+
+        const asset = manifest.get('main.js');
+
+        assert.typeOf(asset, 'object');
+        assert.property(asset, 'integrity');
+        assert.isNotEmpty( asset.integrity );
+      });
+    });
+
+    describe('integrityPropertyName', function() {
+      it('Assigns SRI hashes to currentAsset.info[ integrityPropertyName ]', async () => {
+        const integrityPropertyName = 'sri';
+        const { run } = create(
+          configs.hello(),
+          {
+            integrity: true,
+            integrityHashes: [ 'md5' ],
+            integrityPropertyName,
+            customize(entry, original, manifest, asset) {
+              assert.containsAllKeys(
+                asset.info,
+                [ integrityPropertyName ],
+                `asset.info is missing ${integrityPropertyName} property`,
+              );
+            },
+          },
+        );
+
+        await run();
+      });
+
+      it('Does not overwrite existing currentAsset.info[ integrityPropertyName ]', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            integrity: true,
+            integrityHashes: [ 'md5' ],
+            apply(manifest) {
+              manifest.compiler.hooks.compilation.tap(
+                'test',
+                compilation => {
+                  chai.spy.on(compilation.assetsInfo, 'get', () => ({
+                    [ manifest.options.integrityPropertyName ]: 'test',
+                  }));
+                },
+              );
+            },
+          },
+        );
+
+        await run();
+
+        expect( manifest.get('main.js')[ manifest.options.integrityPropertyName ] ).to.equal('test');
+      });
+    });
+
+    describe('entrypoints', function() {
+      it('entrypoints are included in manifest', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            entrypoints: true,
+          },
+        );
+
+        await run();
+
+        const entrypoints = manifest.get('entrypoints');
+
+        assert.typeOf(entrypoints, 'object');
+      });
+
+      it('entrypoints can use default values instead of values from this.assets', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            entrypoints: true,
+            entrypointsUseAssets: false,
+            integrity: true,
+          },
+        );
+
+        await run();
+
+        expect( manifest.get('entrypoints') ).to.deep.equal({
+          main: {
+            assets: {
+              js: [ 'main.js' ],
+            },
+          },
+        });
+      });
+
+      it('entrypoints are prefixed with publicPath when entrypointsUseAssets is false', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            entrypoints: true,
+            entrypointsUseAssets: false,
+            publicPath: 'https://example.com/',
+          },
+        );
+
+        await run();
+
+        expect( manifest.get('entrypoints') ).to.deep.equal({
+          main: {
+            assets: {
+              js: [ 'https://example.com/main.js' ],
+            },
+          },
+        });
+      });
+    });
+
+    describe('entrypointsKey', function() {
+      it('customize the key used for entrypoints', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            entrypoints: true,
+            entrypointsKey: 'myEntrypoints',
+          },
+        );
+
+        await run();
+
+        const entrypoints = manifest.get('myEntrypoints');
+
+        assert.typeOf(entrypoints, 'object');
+      });
+
+      it('can be false', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            entrypoints: true,
+            entrypointsKey: false,
+          },
+        );
+
+        await run();
+
+        const entrypoint = manifest.get('main');
+
+        assert.typeOf(entrypoint, 'object');
+      });
+    });
+
+    describe('htmlTags', function() {
+      it('creates a JSON file of HTML tags for each entrypoint', async () => {
+        const { manifest, run } = create(
+          configs.complex(),
+          {
+            htmlTags: true,
+            integrity: true,
+            integrityHashes: [ 'sha256' ],
+            publicPath: true,
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), 'entrypoint-tags.json' );
+        const tags = JSON.parse( outputFileSystem.readFileSync( filename ).toString() );
+
+        expect( tags ).to.have.keys([ 'main', 'complex' ]);
+        expect( tags.main.assets ).to.have.lengthOf(2);
+        expect( tags.main.assets[ 0 ] ).to.match(/^<link rel="stylesheet" href="https:\/\/assets\.example\.com\/main-HASH\.css" integrity="sha256-[^"]+" crossorigin="anonymous">$/);
+        expect( tags.main.assets[ 1 ] ).to.match(/^<script src="https:\/\/assets\.example\.com\/main-HASH\.js" integrity="sha256-[^"]+" crossorigin="anonymous"><\/script>$/);
+        expect( tags.complex.preload[ 0 ] ).to.match(/^<link rel="preload" href="https:\/\/assets\.example\.com\/preload_js-HASH\.js" as="script"/);
+        expect( tags.complex.prefetch[ 0 ] ).to.match(/^<link rel="prefetch" href="https:\/\/assets\.example\.com\/prefetch_js-HASH\.js" as="script"/);
+      });
+
+      it('creates an HTML fragment for each entrypoint when output contains [name]', async () => {
+        const { manifest, run } = create(
+          configs.complex(),
+          {
+            htmlTags: {
+              output: 'tags/[name].html',
+            },
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const dir = path.dirname( manifest.getOutputPath() );
+
+        expect( outputFileSystem.readFileSync( path.join( dir, 'tags/main.html' ) ).toString() ).to.equal(
+          '<link rel="stylesheet" href="main-HASH.css">\n<script src="main-HASH.js"></script>\n',
+        );
+
+        expect( outputFileSystem.readFileSync( path.join( dir, 'tags/complex.html' ) ).toString() ).to.equal([
+          '<link rel="preload" href="preload_js-HASH.js" as="script">',
+          '<script src="complex-HASH.js"></script>',
+          '<link rel="prefetch" href="prefetch_js-HASH.js" as="script">',
+          '',
+        ].join('\n'));
+      });
+    });
+
+    describe('importMap', function() {
+      it('creates an import map for the named scripts', async () => {
+        const { manifest, run } = create(
+          configs.complex(),
+          {
+            importMap: {
+              scopes: {
+                '/legacy/': {
+                  'main.js': '/legacy/main.js',
+                },
+              },
+            },
+            integrityHashes: [ 'sha256' ],
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), 'importmap.json' );
+        const importMap = JSON.parse( outputFileSystem.readFileSync( filename ).toString() );
+
+        expect( importMap.imports ).to.deep.equal({
+          'complex.js': './complex-HASH.js',
+          'load-styles.js': './load-styles-HASH.js',
+          'main.js': './main-HASH.js',
+        });
+        expect( importMap.scopes ).to.deep.equal({
+          '/legacy/': {
+            'main.js': '/legacy/main.js',
+          },
+        });
+        expect( importMap.integrity ).to.have.keys( Object.values( importMap.imports ) );
+        expect( importMap.integrity[ './main-HASH.js' ] ).to.match(/^sha256-/);
+      });
+
+      it('uses the publicPath option', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            importMap: true,
+            publicPath: 'https://assets.example.com/',
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), 'importmap.json' );
+        const { imports } = JSON.parse( outputFileSystem.readFileSync( filename ).toString() );
+
+        expect( imports ).to.deep.equal({
+          'main.js': 'https://assets.example.com/main.js',
+        });
+      });
+    });
+
+    describe('linkHeaders', function() {
+      it('creates a JSON file of Link headers for each entrypoint', async () => {
+        const { manifest, run } = create(
+          configs.complex(),
+          {
+            linkHeaders: true,
+            publicPath: '/',
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), 'link-headers.json' );
+        const headers = JSON.parse( outputFileSystem.readFileSync( filename ).toString() );
+
+        expect( headers ).to.deep.equal({
+          main: '</main-HASH.css>; rel=preload; as=style, </main-HASH.js>; rel=preload; as=script',
+          complex: [
+            '</complex-HASH.js>; rel=preload; as=script',
+            '</preload_js-HASH.js>; rel=preload; as=script',
+            '</prefetch_js-HASH.js>; rel=prefetch; as=script',
+          ].join(', '),
+        });
+      });
+
+      it('adds the headers to the manifest when key is provided', async () => {
+        const { manifest, run } = create(
+          configs.complex(),
+          {
+            linkHeaders: {
+              key: 'linkHeaders',
+              crossorigin: 'use-credentials',
+              nopush: true,
+            },
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), 'link-headers.json' );
+
+        expect( manifest.get('linkHeaders').main ).to.equal(
+          '<main-HASH.css>; rel=preload; as=style; crossorigin=use-credentials; nopush, <main-HASH.js>; rel=preload; as=script; crossorigin=use-credentials; nopush',
+        );
+        expect( outputFileSystem.existsSync( filename ) ).to.be.false;
+      });
+    });
+
+    describe('done', function() {
+      it('is called when compilation is done', async () => {
+        const mock1 = chai.spy( async () => true );
+        const mock2 = chai.spy( async () => true );
+        const mock3 = chai.spy();
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            async done() {
+              await mock1();
+            },
+          },
+        );
+
+        manifest.hooks.done.tapPromise('test', async () => { await mock2(); });
+        manifest.hooks.done.tap('test', () => { mock3(); });
+
+        await run();
+
+        expect( mock1 ).to.have.been.called;
+        expect( mock2 ).to.have.been.called;
+        expect( mock3 ).to.have.been.called;
+      });
+    });
+
+    describe('richEntries', function() {
+      it('uses objects that describe each asset', async () => {
+        const { manifest, run } = create(
+          configs.client(true),
+          {
+            richEntries: true,
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const outputPath = path.dirname( manifest.getOutputPath() );
+        const entry = manifest.get('client.js');
+        const image = manifest.get('images/Ginger.asset.jpg');
+
+        expect( entry ).to.deep.equal({
+          src: entry.src,
+          size: outputFileSystem.readFileSync( path.join( outputPath, entry.src ) ).length,
+          contenthash: entry.src.match(/-(\w+)\.js$/)[ 1 ],
+          mimeType: 'application/javascript',
+          immutable: true,
+          minimized: false,
+          development: false,
+          sourceFilename: null,
+        });
+
+        expect( image.mimeType ).to.equal('image/jpeg');
+        expect( image.sourceFilename ).to.equal('test/fixtures/images/Ginger.asset.jpg');
+      });
+
+      it('includes the chosen fields', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            richEntries: [ 'mimeType', 'size' ],
+            integrity: true,
+          },
+        );
+
+        await run();
+
+        const entry = manifest.get('main.js');
+
+        expect( entry ).to.have.keys([ 'src', 'size', 'mimeType', 'integrity' ]);
+        expect( entry.mimeType ).to.equal('application/javascript');
+      });
+    });
+
+    describe('diff', function() {
+      it('compares the manifest to the existing output file', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            output: 'manifest.json',
+            diff: true,
+          },
+        );
+
+        await fs.outputJson( manifest.getOutputPath(), {
+          'main.js': 'main-old.js',
+          'old.js': 'old.js',
+        });
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const filename = path.join( path.dirname( manifest.getOutputPath() ), 'manifest.diff.json' );
+
+        expect( JSON.parse( outputFileSystem.readFileSync( filename ).toString() ) ).to.deep.equal({
+          added: {},
+          removed: {
+            'old.js': 'old.js',
+          },
+          changed: {
+            'main.js': {
+              previous: 'main-old.js',
+              current: 'main.js',
+            },
+          },
+        });
+      });
+
+      it('uses the baseline file and output options', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            diff: {
+              baseline: 'baseline.json',
+              output: 'changes.json',
+            },
+          },
+        );
+
+        const dir = path.dirname( manifest.getOutputPath() );
+
+        await fs.outputJson( path.join( dir, 'baseline.json' ), {} );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const diff = JSON.parse( outputFileSystem.readFileSync( path.join( dir, 'changes.json' ) ).toString() );
+
+        expect( diff.added ).to.deep.equal({ 'main.js': 'main.js' });
+      });
+
+      it('is not used by additional manifests unless they set it', async () => {
+        const { manifest, run } = create(
+          configs.hello(),
+          {
+            diff: {
+              output: 'changes.json',
+            },
+            outputs: [
+              {
+                output: 'cdn-manifest.json',
+                publicPath: 'https://cdn.example.com/',
+              },
+              {
+                output: 'other-manifest.json',
+                publicPath: '/other/',
+                diff: true,
+              },
+            ],
+          },
+        );
+
+        await run();
+
+        const { outputFileSystem } = manifest.compiler;
+        const dir = path.dirname( manifest.getOutputPath() );
+        const read = filename => JSON.parse( outputFileSystem.readFileSync( path.join( dir, filename ) ).toString() );
+
+        expect( read('changes.json').added ).to.deep.equal({ 'main.js': 'main.js' });
+        expect( read('other-manifest.diff.json').added ).to.deep.equal({ 'main.js': '/other/main.js' });
+        expect( outputFileSystem.existsSync( path.join( dir, 'cdn-manifest.diff.json' ) ) ).to.be.false;
+      });
+    });
+
+    describe('cleanup', function() {
+      const setup = async ( options, generations = [ [ 'previous.js', 'main.js' ], [ 'older.js', 'images/robots.txt' ] ] ) => {
+        const { compiler, run } = create( configs.hello(), options, webpack );
+        const { outputPath } = compiler;
+
+        for ( const file of [ 'index.php', 'previous.js', 'older.js', 'images/robots.txt' ] ) {
+          await fs.outputFile( path.join( outputPath, file ), '' );
+        }
+
+        await fs.outputFile(
+          path.join( outputPath, 'assets-manifest-history.json' ),
+          typeof generations === 'string' ? generations : JSON.stringify({ generations }),
+        );
+
+        return { outputPath, run };
+      };
+
+      it('deletes the files of compilations that are no longer kept', async () => {
+        const { outputPath, run } = await setup({
+          cleanup: {
+            keep: 2,
+            protect: [ '**/robots.txt' ],
+          },
+        });
+
+        await run();
+
+        const history = await fs.readJson( path.join( outputPath, 'assets-manifest-history.json' ) );
+
+        expect( fs.existsSync( path.join( outputPath, 'older.js' ) ) ).to.be.false;
+        expect( fs.existsSync( path.join( outputPath, 'index.php' ) ) ).to.be.true;
+        expect( fs.existsSync( path.join( outputPath, 'previous.js' ) ) ).to.be.true;
+        expect( fs.existsSync( path.join( outputPath, 'images/robots.txt' ) ) ).to.be.true;
+        expect( fs.existsSync( path.join( outputPath, 'main.js' ) ) ).to.be.true;
+        expect( history.generations ).to.deep.equal([
+          [ 'assets-manifest.json', 'main.js' ],
+          [ 'previous.js', 'main.js' ],
+        ]);
+      });
+
+      it('does not delete files in dry run mode', async () => {
+        const { outputPath, run } = await setup({
+          cleanup: {
+            keep: 1,
+            dryRun: true,
+          },
+        });
+
+        await run();
+
+        const history = await fs.readJson( path.join( outputPath, 'assets-manifest-history.json' ) );
+
+        expect( fs.existsSync( path.join( outputPath, 'previous.js' ) ) ).to.be.true;
+        expect( fs.existsSync( path.join( outputPath, 'older.js' ) ) ).to.be.true;
+        expect( history.generations ).to.deep.equal([ [ 'assets-manifest.json', 'main.js' ] ]);
+      });
+
+      it('ignores a history file without generations', async () => {
+        for ( const generations of [ 'not json', '{"generations":5}' ] ) {
+          const { outputPath, run } = await setup({ cleanup: { keep: 1 } }, generations );
+
+          await run();
+
+          const history = await fs.readJson( path.join( outputPath, 'assets-manifest-history.json' ) );
+
+          expect( fs.existsSync( path.join( outputPath, 'index.php' ) ) ).to.be.true;
+          expect( history.generations ).to.deep.equal([ [ 'assets-manifest.json', 'main.js' ] ]);
+        }
+      });
+
+      it('does not delete files outside of output.path', async () => {
+        const outside = await fs.mkdtemp( path.join( os.tmpdir(), 'cleanup-' ) );
+        const file = path.join( outside, 'outside.txt' );
+
+        await fs.outputFile( file, '' );
+
+        const { outputPath, run } = await setup({ cleanup: { keep: 1 } });
+
+        await fs.outputJson( path.join( outputPath, 'assets-manifest-history.json' ), {
+          generations: [ [ 'main.js' ], [ 'older.js', path.relative( outputPath, file ), file ] ],
+        });
+
+        await run();
+
+        const history = await fs.readJson( path.join( outputPath, 'assets-manifest-history.json' ) );
+
+        expect( fs.existsSync( file ) ).to.be.true;
+        expect( fs.existsSync( path.join( outputPath, 'older.js' ) ) ).to.be.false;
+        expect( history.generations ).to.deep.equal([ [ 'assets-manifest.json', 'main.js' ] ]);
+
+        await fs.remove( outside );
       });
 
-      it('Does not overwrite existing currentAsset.info[ integrityPropertyName ]', async () => {
-        const { manifest, run } = create(
-          configs.hello(),
-          {
-            integrity: true,
-            integrityHashes: [ 'md5' ],
-            apply(manifest) {
-              manifest.compiler.hooks.compilation.tap(
-                'test',
-                compilation => {
-                  chai.spy.on(compilation.assetsInfo, 'get', () => ({
-                    [ manifest.options.integrityPropertyName ]: 'test',
-                  }));
-                },
-              );
-            },
-          },
-        );
+      it('uses the compiler output file system', async () => {
+        const { compiler, run } = create( configs.hello(), { cleanup: true } );
 
         await run();
 
-        expect( manifest.get('main.js')[ manifest.options.integrityPropertyName ] ).to.equal('test');
+        expect( compiler.outputFileSystem.existsSync( path.join( compiler.outputPath, 'assets-manifest-history.json' ) ) ).to.be.true;
+        expect( fs.existsSync( path.join( compiler.outputPath, 'assets-manifest-history.json' ) ) ).to.be.false;
       });
     });
 
-    describe('entrypoints', function() {
-      it('entrypoints are included in manifest', async () => {
+    describe('changed', function() {
+      it('is called with the entries that changed since the last time', async () => {
+        const changed = chai.spy();
         const { manifest, run } = create(
           configs.hello(),
           {
-            entrypoints: true,
+            changed,
           },
         );
 
         await run();
 
-        const entrypoints = manifest.get('entrypoints');
-
-        assert.typeOf(entrypoints, 'object');
-      });
+        expect( changed ).to.have.been.called.once;
+        expect( changed ).to.have.been.called.with({ added: { 'main.js': 'main.js' }, removed: {}, changed: {} });
 
-      it('entrypoints can use default values instead of values from this.assets', async () => {
-        const { manifest, run } = create(
-          configs.hello(),
-          {
-            entrypoints: true,
-            entrypointsUseAssets: false,
-            integrity: true,
-          },
-        );
+        manifest.hooks.transform.tap('test', assets => ({ ...assets, 'main.js': 'main-2.js', 'extra.js': 'extra.js' }));
 
         await run();
 
-        expect( manifest.get('entrypoints') ).to.deep.equal({
-          main: {
-            assets: {
-              js: [ 'main.js' ],
-            },
-          },
+        expect( changed ).to.have.been.called.twice;
+        expect( changed ).to.have.been.called.with({
+          added: { 'extra.js': 'extra.js' },
+          removed: {},
+          changed: { 'main.js': { previous: 'main.js', current: 'main-2.js' } },
         });
       });
+    });
 
-      it('entrypoints are prefixed with publicPath when entrypointsUseAssets is false', async () => {
+    describe('skipUnchanged', function() {
+      it('writes the manifest when an entry changed and sortManifest is false', async () => {
+        const changed = chai.spy();
         const { manifest, run } = create(
           configs.hello(),
           {
-            entrypoints: true,
-            entrypointsUseAssets: false,
-            publicPath: 'https://example.com/',
+            sortManifest: false,
+            skipUnchanged: true,
+            writeToDisk: true,
+            changed,
           },
         );
 
+        const calls = { writeTo: 0 };
+        const writeTo = manifest.writeTo.bind( manifest );
+
+        manifest.writeTo = (...args) => {
+          ++calls.writeTo;
+
+          return writeTo(...args);
+        };
+
         await run();
 
-        expect( manifest.get('entrypoints') ).to.deep.equal({
-          main: {
-            assets: {
-              js: [ 'https://example.com/main.js' ],
-            },
-          },
+        manifest.hooks.customize.tap('test', entry => ({ ...entry, value: 'main-2.js' }));
+
+        await run();
+
+        expect( changed ).to.have.been.called.twice;
+        expect( changed ).to.have.been.called.with({
+          added: {},
+          removed: {},
+          changed: { 'main.js': { previous: 'main.js', current: 'main-2.js' } },
         });
+        expect( manifest.unchanged ).to.be.false;
+        expect( calls.writeTo ).to.equal(2);
       });
-    });
 
-    describe('entrypointsKey', function() {
-      it('customize the key used for entrypoints', async () => {
-        const { manifest, run } = create(
+      it('emits the manifest but does not write it or call the done hook when nothing changed', async () => {
+        const emitted = [];
+        const { compiler, manifest, run } = create(
           configs.hello(),
           {
-            entrypoints: true,
-            entrypointsKey: 'myEntrypoints',
+            skipUnchanged: true,
+            writeToDisk: true,
           },
         );
 
-        await run();
+        const calls = { writeTo: 0, done: 0 };
+        const writeTo = manifest.writeTo.bind( manifest );
 
-        const entrypoints = manifest.get('myEntrypoints');
+        manifest.writeTo = (...args) => {
+          ++calls.writeTo;
 
-        assert.typeOf(entrypoints, 'object');
+          return writeTo(...args);
+        };
+
+        manifest.hooks.done.tap('test', () => {
+          ++calls.done;
+        });
+
+        compiler.hooks.afterEmit.tap('test', compilation => {
+          emitted.push( !! compilation.getAsset( manifest.options.output ) );
+        });
+
+        await run();
+        await run();
+
+        expect( emitted ).to.deep.equal([ true, true ]);
+        expect( manifest.unchanged ).to.be.true;
+        expect( calls ).to.deep.equal({ writeTo: 1, done: 1 });
       });
 
-      it('can be false', async () => {
+      it('calls the transform hook once per emission', async () => {
+        let count = 0;
         const { manifest, run } = create(
           configs.hello(),
           {
-            entrypoints: true,
-            entrypointsKey: false,
+            output: 'manifest.[contenthash].json',
+            module: 'esm',
+            diff: true,
+            writeToDisk: true,
+            transform( assets ) {
+              ++count;
+
+              return assets;
+            },
           },
         );
 
         await run();
 
-        const entrypoint = manifest.get('main');
-
-        assert.typeOf(entrypoint, 'object');
+        expect( count ).to.equal(1);
+        expect( manifest.emittedAsset ).to.match(/^manifest\.\w+\.json$/);
       });
     });
 
-    describe('done', function() {
-      it('is called when compilation is done', async () => {
-        const mock1 = chai.spy( async () => true );
-        const mock2 = chai.spy( async () => true );
-        const mock3 = chai.spy();
-        const { manifest, run } = create(
-          configs.hello(),
-          {
-            async done() {
-              await mock1();
-            },
-          },
-        );
+    describe('summary', function() {
+      const build = async options => {
+        const { compiler, manifest, run } = create( configs.hello(), options );
 
-        manifest.hooks.done.tapPromise('test', async () => { await mock2(); });
-        manifest.hooks.done.tap('test', () => { mock3(); });
+        let stats;
+
+        compiler.hooks.done.tap('test', result => {
+          stats = result;
+        });
 
         await run();
 
-        expect( mock1 ).to.have.been.called;
-        expect( mock2 ).to.have.been.called;
-        expect( mock3 ).to.have.been.called;
+        return { compiler, manifest, stats };
+      };
+
+      it('adds assetsManifest to the stats JSON', async () => {
+        const { compiler, stats } = await build({
+          entrypoints: true,
+          integrity: true,
+          integrityHashes: [ 'sha256' ],
+          outputs: [ { output: 'other.json' } ],
+        });
+
+        const { assetsManifest } = stats.toJson();
+
+        expect( assetsManifest ).to.deep.include({
+          output: path.join( compiler.outputPath, 'assets-manifest.json' ),
+          emitted: true,
+          writtenToDisk: false,
+          entries: 1,
+          entrypoints: [ 'main' ],
+          integrity: [ 'sha256' ],
+          merge: false,
+        });
+
+        expect( assetsManifest.outputs ).to.have.lengthOf(1);
+        expect( assetsManifest.outputs[ 0 ].output ).to.equal( path.join( compiler.outputPath, 'other.json' ) );
+      });
+
+      it('logs the summary when enabled', async () => {
+        const { stats: quiet } = await build();
+        const { stats } = await build({ summary: true });
+
+        expect( quiet.toString() ).to.not.include('Entrypoints');
+        expect( stats.toString() ).to.include('Entries      1');
+        expect( stats.toString() ).to.include('Integrity    disabled');
       });
     });
 
@@ -961,6 +2424,64 @@ describe('WebpackAssetsManifest', function() {
       });
     });
 
+    describe('collision', function() {
+      const build = async (collision, options = {}) => {
+        const { compiler, manifest, run } = create(
+          configs.client(),
+          {
+            collision,
+            customize: entry => entry.key.endsWith('.jpg') ? { key: 'images/Ginger.jpg' } : entry,
+            ...options,
+          },
+        );
+
+        let stats;
+
+        compiler.hooks.done.tap('test', result => {
+          stats = result;
+        });
+
+        await run();
+
+        return { manifest, stats };
+      };
+
+      it('overwrites by default', async () => {
+        const { manifest, stats } = await build();
+
+        expect( manifest.get('images/Ginger.jpg') ).to.be.a('string');
+        expect( manifest.collisions ).to.have.lengthOf(1);
+        expect( stats.hasErrors() || stats.hasWarnings() ).to.be.false;
+      });
+
+      it('adds a warning or an error that names both source modules', async () => {
+        for ( const collision of [ 'warn', 'error' ] ) {
+          const { stats } = await build( collision );
+          const { errors, warnings } = stats.compilation;
+          const [ error ] = collision === 'error' ? errors : warnings;
+
+          expect( collision === 'error' ? warnings : errors ).to.be.empty;
+          expect( error ).to.be.instanceOf( webpack.WebpackError );
+          expect( error.message ).to.include('Manifest key "images/Ginger.jpg"');
+          expect( error.message ).to.include('Ginger.asset.jpg');
+          expect( error.message ).to.include('Ginger.loader.jpg');
+        }
+      });
+
+      it('reports a collision once when outputs have the same collision', async () => {
+        const { stats } = await build( 'warn', { outputs: [ { output: 'other.json' } ] } );
+
+        expect( stats.compilation.warnings ).to.have.lengthOf(1);
+      });
+
+      it('keeps every value with array', async () => {
+        const { manifest, stats } = await build('array');
+
+        expect( manifest.get('images/Ginger.jpg') ).to.have.members([ 'images/Ginger.asset.jpg', 'images/Ginger.loader.jpg' ]);
+        expect( stats.hasWarnings() ).to.be.false;
+      });
+    });
+
     describe('Default options', function() {
       it('Defaults are used', function() {
         const { manifest } = create( configs.hello() );
@@ -1068,6 +2589,31 @@ describe('WebpackAssetsManifest', function() {
       });
     });
 
+    describe('Serializers', function() {
+      it('Custom serializers can be added', function() {
+        const { manifest } = create(
+          configs.hello(),
+          [
+            {
+              assets: {
+                'main.js': 'main.js',
+              },
+              output: 'assets-manifest.csv',
+            },
+            manifest => manifest.hooks.serializers.tap('test', serializers => {
+              serializers.set('csv', {
+                extensions: [ '.csv' ],
+                serialize: assets => Object.entries( assets ).map( row => row.join(',') ).join('\n'),
+              });
+            }),
+          ],
+        );
+
+        expect( manifest.getFormat() ).to.equal('csv');
+        expect( `${manifest}` ).to.equal('main.js,main.js');
+      });
+    });
+
     describe('Transform', function() {
       it('Transforms the data', function() {
         const { manifest } = create(
@@ -1185,6 +2731,225 @@ describe('WebpackAssetsManifest', function() {
       });
     });
 
+    describe('WebpackAssetsManifest.shared()', () => {
+      const runMulti = ( shared, options = [] ) => {
+        const multiConfig = configs.multi().map( (config, index) => {
+          config.name = [ 'client', 'server' ][ index ];
+          config.plugins = [ shared.register( new WebpackAssetsManifest( options[ index ] ) ) ];
+
+          return config;
+        });
+
+        return new Promise( (resolve, reject) => {
+          webpack( multiConfig, err => err ? reject( err ) : resolve( multiConfig ) );
+        });
+      };
+
+      it('writes the manifest once with a namespace for each compiler', async () => {
+        const output = path.join( configs.tmpDirPath(), 'shared-manifest.json' );
+        const shared = WebpackAssetsManifest.shared({ output });
+        const write = chai.spy.on( shared.manifest, 'writeTo' );
+
+        await runMulti( shared );
+
+        const data = JSON.parse( await fs.readFile( output, 'utf8' ) );
+
+        expect( write ).to.have.been.called.once;
+        expect( data ).to.have.keys([ 'client', 'server' ]);
+        expect( data.client ).to.include({ 'client.js': 'client.js' });
+        expect( data.server ).to.include({ 'server.js': 'server.js' });
+      });
+
+      it('reports collisions when not using a namespace', async () => {
+        const output = path.join( configs.tmpDirPath(), 'shared-manifest.json' );
+        const shared = WebpackAssetsManifest.shared({ output, namespace: false });
+
+        await runMulti( shared, [
+          {},
+          {
+            customize: entry => entry.key === 'server.js' ? { key: 'client.js' } : entry,
+          },
+        ] );
+
+        const data = JSON.parse( await fs.readFile( output, 'utf8' ) );
+
+        expect( data ).to.include({ 'client.js': 'server.js' });
+        expect( shared.collisions ).to.deep.equal([
+          {
+            key: 'client.js',
+            names: [ 'client', 'server' ],
+          },
+        ]);
+      });
+
+      it('adds collision warnings to the compilation of the compiler whose value is used', async () => {
+        const output = path.join( configs.tmpDirPath(), 'shared-manifest.json' );
+        const shared = WebpackAssetsManifest.shared({ output, namespace: false });
+
+        await runMulti( shared, [
+          {
+            customize: entry => entry.key === 'client.js' ? { key: 'server.js' } : entry,
+          },
+          {},
+        ] );
+
+        const warnings = shared.manifests.map( manifest => shared.compilations.get( manifest ).warnings.map( warning => warning.message ) );
+
+        expect( warnings[ 0 ] ).to.be.empty;
+        expect( warnings[ 1 ] ).to.have.lengthOf(1);
+        expect( warnings[ 1 ][ 0 ] ).to.include('Manifest key "server.js" from compiler "server" replaced the value from compiler "client".');
+      });
+
+      it('writes the manifest once per run with the data of that run', async () => {
+        const output = path.join( configs.tmpDirPath(), 'shared-manifest.json' );
+        const shared = WebpackAssetsManifest.shared({ output });
+        const write = chai.spy.on( shared.manifest, 'writeTo' );
+        const multiConfig = configs.multi().map( (config, index) => {
+          config.name = [ 'client', 'server' ][ index ];
+          config.plugins = [ shared.register( new WebpackAssetsManifest() ) ];
+
+          return config;
+        });
+
+        const compiler = webpack( multiConfig );
+        const run = () => new Promise( (resolve, reject) => {
+          compiler.run( err => err ? reject( err ) : resolve() );
+        });
+
+        await run();
+
+        expect( write ).to.have.been.called.once;
+        expect( shared.completed.size ).to.equal(0);
+
+        shared.manifests[ 1 ].hooks.transform.tap('test', assets => ({ ...assets, 'extra.js': 'extra.js' }));
+
+        await run();
+
+        const data = JSON.parse( await fs.readFile( output, 'utf8' ) );
+
+        expect( write ).to.have.been.called.twice;
+        expect( data.server ).to.include({ 'extra.js': 'extra.js' });
+      });
+    });
+
+    describe('VirtualManifestPlugin', () => {
+      const getServerConfig = () => {
+        const config = configs.hello();
+
+        config.name = 'server';
+        config.target = 'node';
+        config.entry = { server: path.resolve(__dirname, 'fixtures/virtual.mjs') };
+        config.output.library = { type: 'commonjs2' };
+        config.resolve = {
+          alias: {
+            'webpack-assets-manifest': path.resolve(__dirname, '..'),
+          },
+        };
+
+        return config;
+      };
+
+      const build = configs => new Promise( (resolve, reject) => {
+        webpack( configs, (err, stats) => err ? reject( err ) : resolve( stats ) );
+      });
+
+      it('imports the manifest of another compiler', async () => {
+        const virtual = new WebpackAssetsManifest.VirtualManifestPlugin();
+        const clientConfig = configs.client();
+        const serverConfig = getServerConfig();
+
+        clientConfig.name = 'client';
+        clientConfig.plugins.push( virtual.register( new WebpackAssetsManifest() ) );
+        serverConfig.plugins.push( virtual );
+
+        const stats = await build([ clientConfig, serverConfig ]);
+        const server = require( path.join( serverConfig.output.path, 'server.js' ) );
+        const [ , serverStats ] = stats.stats;
+
+        expect( server.default ).to.include({ 'client.js': 'client.js' });
+        expect( [ ...serverStats.compilation.fileDependencies ] ).to.include(
+          path.join( clientConfig.output.path, 'assets-manifest.json' ),
+        );
+      });
+
+      it('keeps a registry for each instance', async () => {
+        const virtual = new WebpackAssetsManifest.VirtualManifestPlugin();
+        const other = new WebpackAssetsManifest.VirtualManifestPlugin();
+        const clientConfig = configs.client();
+
+        clientConfig.name = 'client';
+        clientConfig.plugins.push( virtual.register( new WebpackAssetsManifest() ) );
+
+        await build( clientConfig );
+
+        expect( await virtual.getManifest('client') ).to.include({ 'client.js': 'client.js' });
+        expect( other.manifests.has('client') ).to.be.false;
+      });
+
+      it('resolves waiting imports when a compiler is registered again', async () => {
+        const virtual = new WebpackAssetsManifest.VirtualManifestPlugin();
+        const createClientConfig = () => {
+          const config = configs.client();
+
+          config.name = 'client';
+          config.plugins.push( virtual.register( new WebpackAssetsManifest() ) );
+
+          return config;
+        };
+
+        webpack( createClientConfig() );
+
+        const pending = virtual.getManifest('client');
+
+        virtual.manifests.get('client').running = true;
+
+        await build( createClientConfig() );
+
+        expect( await pending ).to.include({ 'client.js': 'client.js' });
+      });
+
+      it('rejects when the compiler is not run', async () => {
+        const virtual = new WebpackAssetsManifest.VirtualManifestPlugin({ timeout: 10 });
+        const clientConfig = configs.client();
+        const serverConfig = getServerConfig();
+
+        clientConfig.name = 'client';
+        clientConfig.plugins.push( virtual.register( new WebpackAssetsManifest() ) );
+        serverConfig.plugins.push( virtual );
+
+        webpack( clientConfig );
+
+        const stats = await build( serverConfig );
+        const [ error ] = stats.compilation.errors;
+
+        expect( error.message ).to.include('Timed out after 10ms waiting for the manifest of the "client" compiler');
+      });
+
+      it('requires a compiler name', () => {
+        const virtual = new WebpackAssetsManifest.VirtualManifestPlugin();
+
+        expect( () => {
+          const config = configs.client();
+
+          config.plugins.push( virtual.register( new WebpackAssetsManifest() ) );
+
+          webpack( config );
+        }).to.throw('requires the compiler to have a name');
+      });
+
+      it('rejects unknown compiler names', async () => {
+        const plugin = new WebpackAssetsManifest.VirtualManifestPlugin();
+
+        try {
+          await plugin.getManifest('missing');
+
+          assert.fail('getManifest() should reject');
+        } catch (err) {
+          expect( err.message ).to.include('No manifest found for the "missing" compiler');
+        }
+      });
+    });
+
     describe('Handles complex configurations', () => {
       let manifest;
 
@@ -1547,6 +3312,45 @@ describe('WebpackAssetsManifest', function() {
 
       expect( manifest.get('main.js.gz') ).to.equal('main.js.gz');
     });
+
+    it('groups related files when groupRelated is enabled', async () => {
+      const CompressionPlugin = require('compression-webpack-plugin');
+      const config = configs.compression();
+
+      config.devtool = 'source-map';
+      config.plugins.push( new CompressionPlugin({
+        algorithm: 'brotliCompress',
+        filename: '[path][base].br',
+      }) );
+
+      const { manifest, run } = create(
+        config,
+        {
+          groupRelated: true,
+          publicPath: '/',
+        },
+      );
+
+      await run();
+
+      expect( manifest.get('main.js') ).to.deep.equal({
+        src: '/main.js',
+        sourceMap: '/main.js.map',
+        compressed: {
+          gzip: '/main.js.gz',
+          br: '/main.js.br',
+        },
+        sourceMapCompressed: {
+          gzip: '/main.js.map.gz',
+          br: '/main.js.map.br',
+        },
+      });
+      expect( manifest.has('main.js.map') ).to.be.false;
+      expect( manifest.has('main.js.gz') ).to.be.false;
+      expect( manifest.has('main.js.br') ).to.be.false;
+      expect( manifest.has('main.js.map.gz') ).to.be.false;
+      expect( manifest.has('main.js.map.br') ).to.be.false;
+    });
   });
 
   describe('Works with webpack-subresource-integrity', () => {
@@ -0,0 +1,203 @@
+'use strict';
+
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const chai = require('chai');
+const { expect } = chai;
+
+const { parseArgs, run } = require('../src/cli.js');
+
+describe('CLI', function() {
+  let dir;
+
+  const write = async ( filename, data ) => {
+    const file = path.join( dir, filename );
+
+    await ( typeof data === 'string' ? fs.outputFile( file, data ) : fs.outputJson( file, data ) );
+
+    return file;
+  };
+
+  const exec = argv => {
+    const io = {
+      stdout: { output: '', write( str ) { this.output += str; } },
+      stderr: { output: '', write( str ) { this.output += str; } },
+    };
+
+    const code = run( argv, io );
+
+    return { code, stdout: io.stdout.output, stderr: io.stderr.output };
+  };
+
+  const manifest = {
+    'main.js': { src: '/main-123.js', sri: 'sha256-kGpZe4ZYqdvgDDCWdYwXsjS7EYhq14DxITBcDv8/xss=' },
+    'main.css': '/main-123.css',
+    pages: {
+      main: {
+        assets: {
+          js: [ '/main-123.js' ],
+          css: [ '/main-123.css' ],
+        },
+      },
+    },
+  };
+
+  const options = [ '--entrypoints-key', 'pages', '--integrity-property-name=sri' ];
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp( path.join( os.tmpdir(), 'cli-' ) );
+  });
+
+  afterEach(async () => {
+    await fs.remove( dir );
+  });
+
+  describe('parseArgs()', function() {
+    it('parses flags, settings and arguments', function() {
+      const { args, options } = parseArgs([ 'get', '--json', '--dir', 'dist', 'file.json', '--space=4' ]);
+
+      expect( args ).to.deep.equal([ 'get', 'file.json' ]);
+      expect( options ).to.include({ json: true, dir: 'dist', space: '4', 'entrypoints-key': 'entrypoints' });
+    });
+
+    it('throws for unknown options and missing values', function() {
+      expect( () => parseArgs([ '--unknown' ]) ).to.throw('Unknown option --unknown');
+      expect( () => parseArgs([ '--dir' ]) ).to.throw('--dir requires a value');
+    });
+  });
+
+  describe('run()', function() {
+    it('shows the usage', function() {
+      expect( exec([ '--help' ]) ).to.include({ code: 0 });
+      expect( exec([]) ).to.include({ code: 2 });
+      expect( exec([ 'unknown' ]).stderr ).to.include('Unknown command "unknown"');
+    });
+  });
+
+  describe('get', function() {
+    it('prints the URL, integrity or value of an asset', async () => {
+      const file = await write( 'manifest.json', manifest );
+
+      expect( exec([ 'get', file, 'main.js', ...options ]) ).to.include({ code: 0, stdout: '/main-123.js\n' });
+      expect( exec([ 'get', file, 'main.js', '--integrity', ...options ]).stdout ).to.equal( manifest[ 'main.js' ].sri + '\n' );
+      expect( JSON.parse( exec([ 'get', file, 'main.js', '--json' ]).stdout ) ).to.deep.equal( manifest[ 'main.js' ] );
+      expect( exec([ 'get', file, 'missing.js' ]) ).to.include({ code: 2 });
+      expect( exec([ 'get', file, 'main.css', '--integrity' ]).stderr ).to.include('does not have an integrity');
+    });
+
+    it('prints a line for each value of the array collision policy', async () => {
+      const file = await write( 'manifest.json', { 'image.jpg': [ '/a.jpg', { src: '/b.jpg' } ] } );
+
+      expect( exec([ 'get', file, 'image.jpg' ]) ).to.include({ code: 0, stdout: '/a.jpg\n/b.jpg\n' });
+    });
+
+    it('follows pointer files', async () => {
+      await write( 'manifest.abcd1234.json', manifest );
+
+      const file = await write( 'manifest-latest.json', { current: 'manifest.abcd1234.json' } );
+
+      expect( exec([ 'get', file, 'main.css' ]) ).to.include({ code: 0, stdout: '/main-123.css\n' });
+    });
+
+    it('reads manifests in other formats', async () => {
+      const file = await write( 'manifest.toml', '"main.js" = "/main-123.js"\n' );
+
+      expect( exec([ 'get', file, 'main.js' ]) ).to.include({ code: 0, stdout: '/main-123.js\n' });
+    });
+  });
+
+  describe('entrypoint', function() {
+    it('prints the URLs of an entrypoint', async () => {
+      const file = await write( 'manifest.json', manifest );
+
+      expect( exec([ 'entrypoint', file, 'main', 'js', ...options ]).stdout ).to.equal('/main-123.js\n');
+      expect( exec([ 'entrypoint', file, 'main', ...options ]).stdout ).to.equal('/main-123.js\n/main-123.css\n');
+      expect( JSON.parse( exec([ 'entrypoint', file, 'main', '--json', ...options ]).stdout ) ).to.deep.equal( manifest.pages.main );
+      expect( exec([ 'entrypoint', file, 'main' ]).stderr ).to.include('Entrypoint "main" was not found');
+    });
+  });
+
+  describe('diff', function() {
+    it('prints the changes between two manifests', async () => {
+      const previous = await write( 'previous.json', manifest );
+      const current = await write( 'current.json', {
+        'main.js': { src: '/main-456.js', sri: 'sha256-abc' },
+        'vendor.js': '/vendor-123.js',
+        pages: {
+          main: {
+            assets: {
+              js: [ { src: '/main-456.js', sri: 'sha256-abc' } ],
+            },
+          },
+        },
+      });
+
+      const { code, stdout } = exec([ 'diff', previous, current, '--exit-code', ...options ]);
+
+      expect( code ).to.equal(1);
+      expect( stdout.split('\n') ).to.deep.equal([
+        '+ vendor.js: /vendor-123.js',
+        '- main.css: /main-123.css',
+        '~ main.js: /main-123.js (sha256-kGpZe4ZYqdvgDDCWdYwXsjS7EYhq14DxITBcDv8/xss=) -> /main-456.js (sha256-abc)',
+        '~ pages.main: {"js":["/main-123.js"],"css":["/main-123.css"]} -> {"js":["/main-456.js"]}',
+        '',
+      ]);
+
+      const json = JSON.parse( exec([ 'diff', previous, current, '--json', ...options ]).stdout );
+
+      expect( json.assets.added ).to.have.keys('vendor.js');
+      expect( json.entrypoints.changed ).to.have.keys('main');
+    });
+
+    it('prints "No changes"', async () => {
+      const file = await write( 'manifest.json', manifest );
+
+      expect( exec([ 'diff', file, file, '--exit-code' ]) ).to.include({ code: 0, stdout: 'No changes\n' });
+    });
+  });
+
+  describe('verify', function() {
+    it('checks that the files exist and match their integrity', async () => {
+      const file = await write( 'manifest.json', manifest );
+
+      await write( 'main-123.js', 'console.log("Hello");\n' );
+
+      const { code, stderr } = exec([ 'verify', file, ...options ]);
+
+      expect( code ).to.equal(1);
+      expect( stderr ).to.include('main-123.css does not exist');
+
+      await write( 'main-123.css', 'body {}\n' );
+
+      expect( exec([ 'verify', file, ...options ]) ).to.include({ code: 0, stdout: 'Verified 2 files\n' });
+
+      await write( 'main-123.js', 'console.log("Changed");\n' );
+
+      expect( exec([ 'verify', file, ...options ]).stderr ).to.include('main.js: integrity does not match');
+    });
+
+    it('uses --public-path and --dir', async () => {
+      const file = await write( 'manifest.json', { 'main.js': 'https://cdn.example.com/main.js' } );
+
+      expect( exec([ 'verify', file ]).stderr ).to.include('is not relative to the public path');
+
+      await write( 'dist/main.js', '' );
+
+      expect( exec([ 'verify', file, '--public-path', 'https://cdn.example.com/', '--dir', path.join( dir, 'dist' ) ]) ).to.include({ code: 0 });
+    });
+  });
+
+  describe('convert', function() {
+    it('converts the manifest to another format', async () => {
+      const file = await write( 'manifest.json', { 'main.js': 'main.js' } );
+      const output = path.join( dir, 'out/manifest.yml' );
+
+      expect( exec([ 'convert', file, '--format', 'toml' ]).stdout ).to.equal('"main.js" = "main.js"\n');
+      expect( exec([ 'convert', file, '--output', output ]) ).to.include({ code: 0 });
+      expect( await fs.readFile( output, 'utf8' ) ).to.equal('main.js: "main.js"\n');
+      expect( exec([ 'convert', file ]).stderr ).to.include('Use --format');
+      expect( exec([ 'convert', file, '--format', 'xml' ]).stderr ).to.include('Unknown format "xml"');
+    });
+  });
+});
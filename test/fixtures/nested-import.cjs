@@ -0,0 +1,3 @@
+require.ensure( [], () => {
+  import('./hello.js').then( module => console.log( module ) );
+}, 'ensured');
@@ -0,0 +1,3 @@
+import manifest from 'webpack-assets-manifest/virtual?name=client';
+
+export default manifest;
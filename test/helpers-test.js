@@ -1,5 +1,8 @@
 'use strict';
 
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
 const chai = require('chai');
 const spies = require('chai-spies');
 const { expect } = chai;
@@ -17,6 +20,15 @@ const {
   templateStringToRegExp,
   findMapKeysByValue,
   group,
+  createMatcher,
+  getContentHash,
+  getRelatedAssets,
+  getManifestDiff,
+  hasChanges,
+  getGlobBase,
+  findFiles,
+  isInDirectory,
+  writeFileAtomic,
 } = require('../src/helpers.js');
 
 describe('Helpers', function() {
@@ -80,16 +92,40 @@ describe('Helpers', function() {
   });
 
   describe('warn()', function() {
-    it('displays a warning message', function() {
-      warn('just a warning');
-      expect(console.warn).to.have.been.called();
+    const createCompilation = () => {
+      const logger = { warn: chai.spy() };
+
+      return {
+        warnings: [],
+        logger,
+        getLogger: chai.spy( () => logger ),
+      };
+    };
+
+    it('adds a warning to the compilation once', function() {
+      const compilation = createCompilation();
+
+      warn( compilation, 'just a warning' );
+      warn( compilation, 'just a warning' );
+
+      expect( compilation.warnings ).to.have.lengthOf(1);
+      expect( compilation.warnings[ 0 ].message ).to.equal('WebpackAssetsManifest: just a warning');
     });
 
-    it('called once', function() {
-      warn.once('once');
-      warn.once('once');
+    it('does not log the warning with the compilation logger', function() {
+      const compilation = createCompilation();
+
+      warn( compilation, 'just a warning' );
 
-      expect(console.warn).to.have.been.called.once;
+      expect( compilation.logger.warn ).not.to.have.been.called();
+    });
+
+    it('adds the warning to each compilation', function() {
+      const compilations = [ createCompilation(), createCompilation() ];
+
+      compilations.forEach( compilation => warn( compilation, 'just a warning' ) );
+
+      compilations.forEach( compilation => expect( compilation.warnings ).to.have.lengthOf(1) );
     });
   });
 
@@ -227,4 +263,162 @@ describe('Helpers', function() {
       });
     });
   });
+
+  describe('createMatcher()', () => {
+    it('matches globs, RegExp, and functions', () => {
+      const isMatch = createMatcher([
+        '**/*.map',
+        /\.txt$/,
+        filename => filename === 'sw.js',
+      ]);
+
+      expect( isMatch('js/main.js.map') ).to.be.true;
+      expect( isMatch('main.js.map') ).to.be.true;
+      expect( isMatch('LICENSE.txt') ).to.be.true;
+      expect( isMatch('sw.js') ).to.be.true;
+      expect( isMatch('main.js') ).to.be.false;
+    });
+
+    it('matches nothing when there are no patterns', () => {
+      expect( createMatcher([])('main.js') ).to.be.false;
+    });
+  });
+
+  describe('getContentHash()', () => {
+    it('returns a hex encoded hash', () => {
+      expect( getContentHash('') ).to.equal('d41d8cd98f00b204e9800998ecf8427e');
+      expect( getContentHash('', 'sha1') ).to.equal('da39a3ee5e6b4b0d3255bfef95601890afd80709');
+    });
+  });
+
+  describe('getRelatedAssets()', () => {
+    it('finds source maps and compressed files', () => {
+      const related = getRelatedAssets([
+        { name: 'main.js', info: { related: { sourceMap: 'main.js.map', brotliCompressed: 'compressed/main.br' } } },
+        { name: 'main.js.map', info: {} },
+        { name: 'main.js.gz', info: {} },
+        { name: 'compressed/main.br', info: {} },
+        { name: 'main.js.LICENSE.txt', info: {} },
+        { name: 'missing.js.gz', info: {} },
+      ]);
+
+      expect( [ ...related.keys() ] ).to.deep.equal([ 'main.js' ]);
+      expect( related.get('main.js') ).to.deep.equal({
+        sourceMap: 'main.js.map',
+        compressed: {
+          gzip: 'main.js.gz',
+          br: 'compressed/main.br',
+        },
+      });
+    });
+
+    it('adds compressed source maps to the asset of the source map', () => {
+      const related = getRelatedAssets([
+        { name: 'main.js', info: {} },
+        { name: 'main.js.map', info: {} },
+        { name: 'main.js.gz', info: {} },
+        { name: 'main.js.map.gz', info: {} },
+      ]);
+
+      expect( [ ...related.keys() ] ).to.deep.equal([ 'main.js' ]);
+      expect( related.get('main.js') ).to.deep.equal({
+        sourceMap: 'main.js.map',
+        compressed: {
+          gzip: 'main.js.gz',
+        },
+        sourceMapCompressed: {
+          gzip: 'main.js.map.gz',
+        },
+      });
+    });
+
+    it('ignores related files that do not exist', () => {
+      const related = getRelatedAssets([ { name: 'main.js', info: { related: { sourceMap: null, gzipped: [ 'main.js.gz' ] } } } ]);
+
+      expect( related.size ).to.equal(0);
+    });
+  });
+
+  describe('getManifestDiff()', () => {
+    it('finds added, removed, and changed entries', () => {
+      const diff = getManifestDiff(
+        { 'a.js': 'a-1.js', 'b.js': 'b.js', 'c.js': { src: 'c-1.js' } },
+        { 'a.js': 'a-2.js', 'c.js': { src: 'c-1.js' }, 'd.js': 'd.js' },
+      );
+
+      expect( diff.added ).to.deep.equal({ 'd.js': 'd.js' });
+      expect( diff.removed ).to.deep.equal({ 'b.js': 'b.js' });
+      expect( diff.changed ).to.deep.equal({ 'a.js': { previous: 'a-1.js', current: 'a-2.js' } });
+    });
+  });
+
+  describe('hasChanges()', () => {
+    it('returns true when a diff has changes', () => {
+      expect( hasChanges( getManifestDiff({ a: 1 }, { a: 1 }) ) ).to.be.false;
+      expect( hasChanges( getManifestDiff({ a: 1 }, {}) ) ).to.be.true;
+    });
+  });
+
+  describe('getGlobBase()', () => {
+    it('returns the directory that a glob starts in', () => {
+      expect( getGlobBase( 'apps/*/manifest.json', '/root' ) ).to.equal( path.normalize('/root/apps') );
+      expect( getGlobBase( '/apps/**/*.json', '/root' ) ).to.equal( path.normalize('/apps') );
+    });
+
+    it('returns null for paths', () => {
+      expect( getGlobBase( 'apps/manifest.json', '/root' ) ).to.be.null;
+    });
+  });
+
+  describe('findFiles()', () => {
+    it('finds the files that match a glob or a path', async () => {
+      const dir = await fs.mkdtemp( path.join( os.tmpdir(), 'helpers-' ) );
+
+      await fs.outputFile( path.join( dir, 'apps/b/manifest.json' ), '{}' );
+      await fs.outputFile( path.join( dir, 'apps/a/manifest.json' ), '{}' );
+      await fs.outputFile( path.join( dir, 'apps/a/other.json' ), '{}' );
+      await fs.outputFile( path.join( dir, 'node_modules/a/manifest.json' ), '{}' );
+
+      expect( await findFiles( 'apps/*/manifest.json', dir ) ).to.deep.equal([
+        path.join( dir, 'apps/a/manifest.json' ),
+        path.join( dir, 'apps/b/manifest.json' ),
+      ]);
+      expect( await findFiles( 'apps/a/other.json', dir ) ).to.deep.equal([ path.join( dir, 'apps/a/other.json' ) ]);
+      expect( await findFiles( 'missing/*.json', dir ) ).to.be.empty;
+
+      await fs.remove( dir );
+    });
+  });
+
+  describe('isInDirectory()', () => {
+    it('returns true for relative paths inside the directory', () => {
+      expect( isInDirectory( 'main.js', '/dist' ) ).to.be.true;
+      expect( isInDirectory( 'images/../main.js', '/dist' ) ).to.be.true;
+      expect( isInDirectory( '..main.js', '/dist' ) ).to.be.true;
+    });
+
+    it('returns false for other paths', () => {
+      expect( isInDirectory( '../main.js', '/dist' ) ).to.be.false;
+      expect( isInDirectory( 'images/../../main.js', '/dist' ) ).to.be.false;
+      expect( isInDirectory( '/dist/main.js', '/dist' ) ).to.be.false;
+      expect( isInDirectory( '.', '/dist' ) ).to.be.false;
+      expect( isInDirectory( '', '/dist' ) ).to.be.false;
+      expect( isInDirectory( 5, '/dist' ) ).to.be.false;
+    });
+  });
+
+  describe('writeFileAtomic()', () => {
+    it('replaces the file without leaving temp files', async () => {
+      const dir = await fs.mkdtemp( path.join( os.tmpdir(), 'helpers-' ) );
+      const filename = path.join( dir, 'manifest.json' );
+
+      await fs.writeFile( filename, '{}' );
+      await writeFileAtomic( filename, '{"main.js":"main.js"}' );
+
+      expect( await fs.readFile( filename, 'utf8' ) ).to.equal('{"main.js":"main.js"}');
+      expect( await fs.readdir( dir ) ).to.deep.equal([ 'manifest.json' ]);
+
+      await fs.remove( dir );
+    });
+  });
 });
@@ -0,0 +1,106 @@
+'use strict';
+
+const vm = require('vm');
+const chai = require('chai');
+const { expect } = chai;
+
+const {
+  getTypeScriptType,
+  getKeyType,
+  toModule,
+  toDeclaration,
+} = require('../src/modules.js');
+
+const data = {
+  'main.js': {
+    src: 'main-123456.js',
+    integrity: 'sha256-abc',
+  },
+  entrypoints: {
+    main: {
+      assets: {
+        js: [ 'main-123456.js' ],
+      },
+    },
+  },
+};
+
+describe('Modules', function() {
+  describe('getTypeScriptType()', function() {
+    it('returns the type for primitives', function() {
+      expect( getTypeScriptType('a') ).to.equal('string');
+      expect( getTypeScriptType(1) ).to.equal('number');
+      expect( getTypeScriptType(true) ).to.equal('boolean');
+      expect( getTypeScriptType(null) ).to.equal('null');
+    });
+
+    it('returns the type for arrays', function() {
+      expect( getTypeScriptType([]) ).to.equal('never[]');
+      expect( getTypeScriptType([ 'a', 'b' ]) ).to.equal('string[]');
+      expect( getTypeScriptType([ 'a', 1 ]) ).to.equal('Array<string | number>');
+      expect( getTypeScriptType([ { a: 'a' } ]) ).to.equal('Array<{\n  "a": string;\n}>');
+    });
+
+    it('returns the shape of objects', function() {
+      expect( getTypeScriptType({}) ).to.equal('Record<string, never>');
+      expect( getTypeScriptType( data[ 'main.js' ] ) ).to.equal('{\n  "src": string;\n  "integrity": string;\n}');
+    });
+  });
+
+  describe('getKeyType()', function() {
+    it('returns a literal union of keys', function() {
+      expect( getKeyType( data ) ).to.equal('"main.js" | "entrypoints"');
+      expect( getKeyType({}) ).to.equal('never');
+      expect( getKeyType([]) ).to.equal('never');
+    });
+  });
+
+  describe('toModule()', function() {
+    it('creates an ES module', function() {
+      const source = toModule( data, 'esm' );
+
+      expect( source ).to.contain('const manifest = {');
+      expect( source ).to.contain('export default manifest;');
+    });
+
+    it('creates a CommonJS module', function() {
+      const module = { exports: {} };
+
+      vm.runInNewContext( toModule( data, 'cjs' ), { module } );
+
+      expect( module.exports ).to.deep.equal( data );
+    });
+
+    it('uses replacer and space', function() {
+      const replacer = ( key, value ) => key === 'integrity' ? undefined : value;
+      const source = toModule( data, 'esm', { replacer, space: 4 } );
+
+      expect( source ).to.contain( JSON.stringify( data, replacer, 4 ) );
+      expect( source ).not.to.contain('integrity');
+    });
+  });
+
+  describe('toDeclaration()', function() {
+    it('declares the data after it has been replaced', function() {
+      const source = toDeclaration( data, 'esm', { replacer: [ 'main.js', 'src' ] } );
+
+      expect( source ).to.contain('export type AssetsManifestKey = "main.js";');
+      expect( source ).not.to.contain('integrity');
+    });
+
+    it('declares the default export for ES modules', function() {
+      const source = toDeclaration( data, 'esm' );
+
+      expect( source ).to.contain('export type AssetsManifestKey = "main.js" | "entrypoints";');
+      expect( source ).to.contain('"integrity": string;');
+      expect( source ).to.contain('export default manifest;');
+    });
+
+    it('uses export = for CommonJS modules', function() {
+      const source = toDeclaration( data, 'cjs' );
+
+      expect( source ).to.contain('export type AssetsManifestKey = "main.js" | "entrypoints";');
+      expect( source ).to.contain('export = manifest;');
+    });
+  });
+});
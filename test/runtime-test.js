@@ -0,0 +1,182 @@
+'use strict';
+
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const chai = require('chai');
+const { expect } = chai;
+
+const runtime = require('../runtime.js');
+
+const { getSource, createRuntime } = runtime;
+
+describe('Runtime', function() {
+  let dir;
+
+  const write = async ( data, filename = 'assets-manifest.json' ) => {
+    const file = path.join( dir, filename );
+
+    await fs.outputJson( file, data );
+
+    return file;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp( path.join( os.tmpdir(), 'runtime-' ) );
+  });
+
+  afterEach(async () => {
+    await fs.remove( dir );
+  });
+
+  describe('getSource()', function() {
+    it('gets the URL from each value shape', function() {
+      expect( getSource('main.js') ).to.equal('main.js');
+      expect( getSource({ src: 'main.js', integrity: 'sha256-abc' }) ).to.equal('main.js');
+      expect( getSource({ file: 'main.js', src: 'src/main.js' }) ).to.equal('main.js');
+      expect( getSource(null) ).to.be.undefined;
+      expect( getSource([ 'a.jpg', { src: 'b.jpg' } ]) ).to.deep.equal([ 'a.jpg', 'b.jpg' ]);
+    });
+  });
+
+  describe('asset() and integrity()', function() {
+    it('supports plain and integrity values', async () => {
+      const runtime = createRuntime({
+        filename: await write({
+          'main.js': 'main-123.js',
+          'main.css': { src: 'main-123.css', integrity: 'sha256-abc' },
+        }),
+      });
+
+      expect( runtime.asset('main.js') ).to.equal('main-123.js');
+      expect( runtime.asset('main.css') ).to.equal('main-123.css');
+      expect( runtime.asset('missing.js') ).to.be.undefined;
+      expect( runtime.integrity('main.js') ).to.be.undefined;
+      expect( runtime.integrity('main.css') ).to.equal('sha256-abc');
+    });
+
+    it('supports values of the array collision policy', async () => {
+      const manifest = createRuntime({
+        filename: await write({
+          'image.jpg': [ { src: 'a.jpg', integrity: 'sha256-a' }, { src: 'b.jpg', integrity: 'sha256-b' } ],
+        }),
+      });
+
+      expect( manifest.asset('image.jpg') ).to.deep.equal([ 'a.jpg', 'b.jpg' ]);
+      expect( manifest.integrity('image.jpg') ).to.deep.equal([ 'sha256-a', 'sha256-b' ]);
+    });
+
+    it('reads manifests in other formats', async () => {
+      const file = path.join( dir, 'assets-manifest.yml' );
+
+      await fs.outputFile( file, 'main.js: "main-123.js"\n' );
+
+      expect( createRuntime({ filename: file }).asset('main.js') ).to.equal('main-123.js');
+    });
+
+    it('uses integrityPropertyName', async () => {
+      const runtime = createRuntime({
+        filename: await write({ 'main.js': { src: 'main.js', sri: 'sha256-abc' } }),
+        integrityPropertyName: 'sri',
+      });
+
+      expect( runtime.integrity('main.js') ).to.equal('sha256-abc');
+    });
+  });
+
+  describe('entrypoint()', function() {
+    const entrypoints = {
+      main: {
+        assets: {
+          js: [ 'main.js' ],
+          css: [ { src: 'main.css', integrity: 'sha256-abc' } ],
+        },
+        preload: {
+          js: [ 'preload.js' ],
+        },
+      },
+    };
+
+    it('uses entrypointsKey', async () => {
+      const runtime = createRuntime({
+        filename: await write({ pages: entrypoints }),
+        entrypointsKey: 'pages',
+      });
+
+      expect( runtime.entrypoint('main', 'js') ).to.deep.equal([ 'main.js' ]);
+      expect( runtime.entrypoint('main', 'css') ).to.deep.equal([ 'main.css' ]);
+      expect( runtime.entrypoint('main', 'svg') ).to.deep.equal([]);
+      expect( runtime.entrypoint('main').preload ).to.deep.equal({ js: [ 'preload.js' ] });
+      expect( runtime.entrypoint('missing') ).to.be.undefined;
+    });
+
+    it('supports entrypointsKey: false', async () => {
+      const runtime = createRuntime({
+        filename: await write({ 'main.js': 'main.js', ...entrypoints }),
+        entrypointsKey: false,
+      });
+
+      expect( runtime.entrypoint('main', 'js') ).to.deep.equal([ 'main.js' ]);
+      expect( runtime.entrypoint('main.js') ).to.be.undefined;
+    });
+  });
+
+  describe('tags()', function() {
+    it('renders the tags for an entrypoint', async () => {
+      const runtime = createRuntime({
+        filename: await write({
+          'main.js': { src: '/main.js', integrity: 'sha256-xyz' },
+          entrypoints: {
+            main: {
+              assets: {
+                js: [ '/main.js' ],
+                css: [ { src: '/main.css', integrity: 'sha256-abc' } ],
+              },
+            },
+          },
+        }),
+      });
+
+      expect( runtime.tags('main') ).to.equal([
+        '<link rel="stylesheet" href="/main.css" integrity="sha256-abc" crossorigin="anonymous">',
+        '<script src="/main.js" integrity="sha256-xyz" crossorigin="anonymous"></script>',
+        '',
+      ].join('\n'));
+
+      expect( runtime.tags('missing') ).to.equal('');
+    });
+  });
+
+  describe('direct exports', function() {
+    it('use the runtime that was configured', async () => {
+      runtime.configure({
+        filename: await write({
+          'main.js': 'main-123.js',
+          entrypoints: { main: { assets: { js: [ 'main-123.js' ] } } },
+        }),
+      });
+
+      expect( runtime.asset('main.js') ).to.equal('main-123.js');
+      expect( runtime.integrity('main.js') ).to.be.undefined;
+      expect( runtime.entrypoint('main', 'js') ).to.deep.equal([ 'main-123.js' ]);
+      expect( runtime.tags('main') ).to.contain('<script src="main-123.js"></script>');
+    });
+  });
+
+  describe('reload', function() {
+    it('reads the file again when it has been modified', async () => {
+      const filename = await write({ 'main.js': 'main-1.js' });
+      const cached = createRuntime({ filename });
+      const reloaded = createRuntime({ filename, reload: true });
+
+      expect( cached.asset('main.js') ).to.equal('main-1.js');
+      expect( reloaded.asset('main.js') ).to.equal('main-1.js');
+
+      await write({ 'main.js': 'main-2.js' });
+      await fs.utimes( filename, new Date(), new Date( Date.now() + 10000 ) );
+
+      expect( cached.asset('main.js') ).to.equal('main-1.js');
+      expect( reloaded.asset('main.js') ).to.equal('main-2.js');
+    });
+  });
+});
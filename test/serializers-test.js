@@ -0,0 +1,169 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+
+const {
+  json,
+  yaml,
+  toml,
+  ndjson,
+  getDefaultSerializers,
+  getFormatByFilename,
+  parseManifest,
+} = require('../src/serializers.js');
+
+function fakeManifest( options = {} )
+{
+  return {
+    options: Object.assign({ replacer: null, space: 2 }, options),
+  };
+}
+
+const data = {
+  'main.js': 'main-123456.js',
+  'images/logo.svg': {
+    src: 'images/logo-123456.svg',
+    integrity: 'sha256-abc',
+  },
+  entrypoints: {
+    main: {
+      assets: {
+        js: [ 'main-123456.js' ],
+      },
+    },
+  },
+};
+
+describe('Serializers', function() {
+  describe('getDefaultSerializers()', function() {
+    it('returns a new Map each time', function() {
+      const serializers = getDefaultSerializers();
+
+      expect( serializers ).to.be.an.instanceOf(Map);
+      expect( [ ...serializers.keys() ] ).to.deep.equal([ 'json', 'yaml', 'toml', 'ndjson' ]);
+      expect( serializers ).to.not.equal( getDefaultSerializers() );
+    });
+  });
+
+  describe('json', function() {
+    it('uses the replacer and space options', function() {
+      const manifest = fakeManifest({
+        space: 0,
+        replacer: (key, value) => typeof value === 'string' ? value.toUpperCase() : value,
+      });
+
+      expect( json.serialize({ 'main.js': 'main.js' }, manifest) ).to.equal('{"main.js":"MAIN.JS"}');
+    });
+  });
+
+  describe('yaml', function() {
+    it('serializes nested data', function() {
+      expect( yaml.serialize( data, fakeManifest() ) ).to.equal([
+        'main.js: "main-123456.js"',
+        'images/logo.svg:',
+        '  src: "images/logo-123456.svg"',
+        '  integrity: "sha256-abc"',
+        'entrypoints:',
+        '  main:',
+        '    assets:',
+        '      js:',
+        '        - "main-123456.js"',
+        '',
+      ].join('\n'));
+    });
+
+    it('quotes keys that are not plain strings', function() {
+      expect( yaml.serialize({ true: 1, 'some key': null }, fakeManifest()) ).to.equal('"true": 1\n"some key": null\n');
+    });
+
+    it('aligns objects in arrays', function() {
+      expect( yaml.serialize({ list: [ { a: 1, b: 2 } ] }, fakeManifest({ space: 4 })) ).to.equal([
+        'list:',
+        '    - a: 1',
+        '      b: 2',
+        '',
+      ].join('\n'));
+    });
+
+    it('serializes empty data', function() {
+      expect( yaml.serialize({}, fakeManifest()) ).to.equal('{}\n');
+    });
+  });
+
+  describe('toml', function() {
+    it('uses tables for nested objects', function() {
+      expect( toml.serialize( data, fakeManifest() ) ).to.equal([
+        '"main.js" = "main-123456.js"',
+        '',
+        '["images/logo.svg"]',
+        'src = "images/logo-123456.svg"',
+        'integrity = "sha256-abc"',
+        '',
+        '[entrypoints]',
+        '',
+        '[entrypoints.main]',
+        '',
+        '[entrypoints.main.assets]',
+        'js = [ "main-123456.js" ]',
+        '',
+      ].join('\n'));
+    });
+
+    it('skips null values and uses inline tables in arrays', function() {
+      expect( toml.serialize({ a: null, b: [ { c: 'd', e: null } ] }, fakeManifest()) ).to.equal('b = [ { c = "d" } ]\n');
+    });
+  });
+
+  describe('ndjson', function() {
+    it('writes one line per entry', function() {
+      expect( ndjson.serialize({ a: 'a.js', b: { src: 'b.js' } }, fakeManifest()) ).to.equal(
+        '{"key":"a","value":"a.js"}\n{"key":"b","value":{"src":"b.js"}}\n',
+      );
+    });
+  });
+
+  describe('parse()', function() {
+    it('reads the output of serialize()', function() {
+      const value = {
+        ...data,
+        'some key': { list: [ { a: 1, b: [ 2, [ 3 ] ] }, 'x', true, 1.5 ], empty: [], object: {} },
+        true: 'quoted "key"',
+      };
+
+      for ( const [ name, serializer ] of getDefaultSerializers() ) {
+        const parsed = serializer.parse( serializer.serialize( value, fakeManifest({ space: 4 }) ) );
+
+        expect( parsed, name ).to.deep.equal( value );
+      }
+    });
+
+    it('reads null values', function() {
+      expect( yaml.parse('a: null\nb:\n  - null\n') ).to.deep.equal({ a: null, b: [ null ] });
+      expect( ndjson.parse('{"key":"a","value":null}\n') ).to.deep.equal({ a: null });
+    });
+
+    it('throws for invalid content', function() {
+      expect( () => toml.parse('key') ).to.throw(SyntaxError);
+      expect( () => yaml.parse('a: "unterminated') ).to.throw(SyntaxError);
+    });
+  });
+
+  describe('getFormatByFilename()', function() {
+    it('uses the serializer extensions', function() {
+      expect( getFormatByFilename('manifest.YML') ).to.equal('yaml');
+      expect( getFormatByFilename('manifest.jsonl') ).to.equal('ndjson');
+      expect( getFormatByFilename('manifest.txt') ).to.be.undefined;
+    });
+  });
+
+  describe('parseManifest()', function() {
+    it('throws when the serializer can not parse', function() {
+      const serializers = new Map([ [ 'csv', { extensions: [ '.csv' ], serialize: () => '' } ] ]);
+
+      expect( parseManifest( '{"a":1}', 'json' ) ).to.deep.equal({ a: 1 });
+      expect( () => parseManifest( '', 'csv', serializers ) ).to.throw('doesn\'t have parse()');
+      expect( () => parseManifest( '', 'xml' ) ).to.throw('Unknown manifest format: xml');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+
+const {
+  getFileType,
+  getPreloadAs,
+  toAttributes,
+  renderTag,
+  getEntrypointTags,
+  getLinkHeader,
+  toHTML,
+} = require('../src/tags.js');
+
+describe('Tags', function() {
+  describe('getFileType()', function() {
+    it('returns the lowercase extension', function() {
+      expect( getFileType('main.JS') ).to.equal('js');
+      expect( getFileType('https://example.com/main.css?v=1#a') ).to.equal('css');
+      expect( getFileType('no-extension') ).to.equal('');
+      expect( getFileType('some.dir/no-extension') ).to.equal('');
+    });
+  });
+
+  describe('getPreloadAs()', function() {
+    it('maps file extensions to as values', function() {
+      expect( getPreloadAs('main.js') ).to.equal('script');
+      expect( getPreloadAs('main.mjs') ).to.equal('script');
+      expect( getPreloadAs('main.css') ).to.equal('style');
+      expect( getPreloadAs('font.woff2') ).to.equal('font');
+      expect( getPreloadAs('logo.svg') ).to.equal('image');
+      expect( getPreloadAs('data.unknown') ).to.equal('fetch');
+    });
+  });
+
+  describe('toAttributes()', function() {
+    it('escapes values and skips empty values', function() {
+      expect( toAttributes({ a: '"<&>"', b: true, c: false, d: undefined, e: null, f: '' }) ).to.equal(' a="&quot;&lt;&amp;&gt;&quot;" b');
+    });
+  });
+
+  describe('renderTag()', function() {
+    it('renders scripts and stylesheets', function() {
+      expect( renderTag('assets', { href: 'main.js' }) ).to.equal('<script src="main.js"></script>');
+      expect( renderTag('assets', { href: 'main.js', module: true }) ).to.equal('<script type="module" src="main.js"></script>');
+      expect( renderTag('assets', { href: 'main.css' }) ).to.equal('<link rel="stylesheet" href="main.css">');
+      expect( renderTag('assets', { href: 'logo.svg' }) ).to.equal('');
+    });
+
+    it('adds crossorigin when there is an integrity value', function() {
+      expect( renderTag('assets', { href: 'main.js', integrity: 'sha256-abc' }) ).to.equal(
+        '<script src="main.js" integrity="sha256-abc" crossorigin="anonymous"></script>',
+      );
+
+      expect( renderTag('assets', { href: 'main.js', integrity: 'sha256-abc', crossorigin: 'use-credentials' }) ).to.equal(
+        '<script src="main.js" integrity="sha256-abc" crossorigin="use-credentials"></script>',
+      );
+    });
+
+    it('renders preload and prefetch links', function() {
+      expect( renderTag('preload', { href: 'main.js' }) ).to.equal('<link rel="preload" href="main.js" as="script">');
+      expect( renderTag('preload', { href: 'main.js', module: true }) ).to.equal('<link rel="modulepreload" href="main.js">');
+      expect( renderTag('prefetch', { href: 'main.css' }) ).to.equal('<link rel="prefetch" href="main.css" as="style">');
+      expect( renderTag('preload', { href: 'font.woff2' }) ).to.equal('<link rel="preload" href="font.woff2" as="font" crossorigin="anonymous">');
+    });
+  });
+
+  describe('getEntrypointTags()', function() {
+    it('renders tags for each entrypoint with stylesheets first', function() {
+      const tags = getEntrypointTags(
+        {
+          main: {
+            assets: [ 'main.js', 'main.css', 'logo.svg' ],
+            preload: [ 'preload.js' ],
+          },
+        },
+        file => ({ href: `/${file}` }),
+      );
+
+      expect( tags ).to.deep.equal({
+        main: {
+          assets: [
+            '<link rel="stylesheet" href="/main.css">',
+            '<script src="/main.js"></script>',
+          ],
+          preload: [ '<link rel="preload" href="/preload.js" as="script">' ],
+        },
+      });
+
+      expect( toHTML( tags.main ) ).to.equal([
+        '<link rel="preload" href="/preload.js" as="script">',
+        '<link rel="stylesheet" href="/main.css">',
+        '<script src="/main.js"></script>',
+        '',
+      ].join('\n'));
+    });
+  });
+
+  describe('getLinkHeader()', function() {
+    it('creates links for each file type', function() {
+      expect( getLinkHeader({
+        assets: { css: [ '/main.css' ], js: [ '/main.js' ] },
+        preload: { woff2: [ '/font.woff2' ] },
+        prefetch: { png: [ '/logo.png' ], txt: [ '/notes.txt' ] },
+      }) ).to.equal([
+        '</main.css>; rel=preload; as=style',
+        '</main.js>; rel=preload; as=script',
+        '</font.woff2>; rel=preload; as=font; crossorigin',
+        '</logo.png>; rel=prefetch; as=image',
+        '</notes.txt>; rel=prefetch; as=fetch',
+      ].join(', '));
+    });
+
+    it('supports crossorigin and nopush', function() {
+      const groups = { assets: { js: [ '/main.js' ] } };
+
+      expect( getLinkHeader( groups, { crossorigin: true, nopush: true } ) ).to.equal('</main.js>; rel=preload; as=script; crossorigin; nopush');
+      expect( getLinkHeader( groups, { crossorigin: 'use-credentials' } ) ).to.equal('</main.js>; rel=preload; as=script; crossorigin=use-credentials');
+    });
+
+    it('uses modulepreload for ES modules', function() {
+      expect( getLinkHeader({
+        assets: { js: [ '/main.js' ], css: [ '/main.css' ] },
+        prefetch: { js: [ '/later.js' ] },
+      }, { module: true }) ).to.equal('</main.js>; rel=modulepreload, </main.css>; rel=preload; as=style, </later.js>; rel=prefetch; as=script');
+
+      expect( getLinkHeader({ assets: { mjs: [ '/main.mjs' ] } }) ).to.equal('</main.mjs>; rel=modulepreload');
+    });
+
+    it('encodes the URLs', function() {
+      expect( getLinkHeader({
+        assets: { js: [ '/my file>,2.js', '/caf%C3%A9.js' ] },
+      }) ).to.equal('</my%20file%3E,2.js>; rel=preload; as=script, </caf%C3%A9.js>; rel=preload; as=script');
+    });
+  });
+});
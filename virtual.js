@@ -0,0 +1,4 @@
+'use strict';
+
+// Imports of this file are replaced with a manifest by the loader that VirtualManifestPlugin adds.
+throw new Error('webpack-assets-manifest/virtual requires WebpackAssetsManifest.VirtualManifestPlugin in the compilation that imports it.');